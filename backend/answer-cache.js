@@ -0,0 +1,157 @@
+// backend/answer-cache.js
+import crypto from 'crypto';
+import { normalizeVector, dotProduct } from './vector-index.js';
+import { stableStringify } from './query-cache.js';
+import { envNumber } from './env.js';
+
+export const ANSWER_CACHE_CONFIG = {
+    // Off with RAG_ANSWER_CACHE=false
+    enabled: process.env.RAG_ANSWER_CACHE !== 'false',
+    // Cosine similarity between question embeddings that counts as "the same question"
+    minSimilarity: envNumber('RAG_ANSWER_CACHE_MIN_SIMILARITY', 0.92),
+    maxEntries: parseInt(process.env.RAG_ANSWER_CACHE_SIZE) || 200,
+    ttlMs: parseInt(process.env.RAG_ANSWER_CACHE_TTL_MS) || 24 * 60 * 60 * 1000
+};
+
+/**
+ * Generated /ask answers, looked up by question embedding similarity. Every
+ * entry records the knowledge base signature it was answered from and a
+ * scope (language, filters and other request options that change the
+ * answer); a lookup only matches entries with the same signature and scope,
+ * and entries from an older signature are dropped as soon as it changes.
+ */
+export class SemanticAnswerCache {
+    constructor(config = ANSWER_CACHE_CONFIG) {
+        this.config = config;
+        this.entries = new Map();
+        this.kbSignature = null;
+        this.hits = 0;
+        this.misses = 0;
+        this.invalidated = 0;
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    /**
+     * Forget every answer from another knowledge base signature
+     */
+    invalidate(kbSignature) {
+        if (kbSignature === this.kbSignature) return 0;
+        this.kbSignature = kbSignature;
+        let removed = 0;
+        for (const [id, entry] of this.entries) {
+            if (entry.kbSignature !== kbSignature) {
+                this.entries.delete(id);
+                removed++;
+            }
+        }
+        this.invalidated += removed;
+        return removed;
+    }
+
+    /**
+     * Closest cached answer to a question embedding within the same scope and
+     * knowledge base signature, or null. Returns { entry, similarity }.
+     */
+    lookup(embedding, { kbSignature, scope = {} }) {
+        this.invalidate(kbSignature);
+        const scopeKey = stableStringify(scope);
+        const query = normalizeVector(embedding);
+        const now = Date.now();
+
+        let best = null;
+        for (const [id, entry] of this.entries) {
+            if (now - entry.createdAt > this.config.ttlMs) {
+                this.entries.delete(id);
+                continue;
+            }
+            if (entry.scopeKey !== scopeKey) continue;
+            const similarity = dotProduct(query, entry.embedding);
+            if (similarity >= this.config.minSimilarity && (!best || similarity > best.similarity)) {
+                best = { entry, similarity };
+            }
+        }
+
+        if (!best) {
+            this.misses++;
+            return null;
+        }
+        this.hits++;
+        best.entry.hits++;
+        best.entry.lastHitAt = now;
+        // Re-insert so Map order stays least -> most recently used
+        this.entries.delete(best.entry.id);
+        this.entries.set(best.entry.id, best.entry);
+        return best;
+    }
+
+    /**
+     * Remember the response to a question. `response` is the part of the /ask
+     * payload that is replayed on a hit. Returns the new entry's id.
+     */
+    store(question, embedding, response, { kbSignature, scope = {} }) {
+        this.invalidate(kbSignature);
+        const id = crypto.randomUUID();
+        this.entries.set(id, {
+            id,
+            question,
+            embedding: normalizeVector(embedding),
+            scope,
+            scopeKey: stableStringify(scope),
+            kbSignature,
+            response,
+            createdAt: Date.now(),
+            hits: 0,
+            lastHitAt: null
+        });
+        while (this.entries.size > this.config.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+        return id;
+    }
+
+    delete(id) {
+        return this.entries.delete(id);
+    }
+
+    clear() {
+        const removed = this.entries.size;
+        this.entries.clear();
+        return removed;
+    }
+
+    /**
+     * Entries without their embeddings, most recently used first
+     */
+    list() {
+        return [...this.entries.values()].reverse().map(entry => ({
+            id: entry.id,
+            question: entry.question,
+            scope: entry.scope,
+            kb_signature: entry.kbSignature,
+            created_at: new Date(entry.createdAt).toISOString(),
+            expires_at: new Date(entry.createdAt + this.config.ttlMs).toISOString(),
+            hits: entry.hits,
+            last_hit_at: entry.lastHitAt ? new Date(entry.lastHitAt).toISOString() : null,
+            answer_preview: entry.response.answer.substring(0, 200)
+        }));
+    }
+
+    stats() {
+        const lookups = this.hits + this.misses;
+        return {
+            enabled: this.config.enabled,
+            entries: this.entries.size,
+            maxEntries: this.config.maxEntries,
+            ttlMs: this.config.ttlMs,
+            minSimilarity: this.config.minSimilarity,
+            kbSignature: this.kbSignature,
+            hits: this.hits,
+            misses: this.misses,
+            invalidated: this.invalidated,
+            hitRate: lookups === 0 ? null : Number((this.hits / lookups).toFixed(3))
+        };
+    }
+}
@@ -0,0 +1,134 @@
+// backend/bm25-index.js
+
+const STOP_WORDS = new Set([
+    'the', 'is', 'at', 'which', 'on', 'a', 'an', 'and', 'or', 'but', 'in', 'with', 'to', 'for',
+    'of', 'as', 'by', 'what', 'how', 'when', 'where', 'who', 'why', 'are', 'do', 'does', 'did',
+    'can', 'could', 'will', 'would', 'should', 'may', 'might', 'must', 'be', 'been', 'was', 'were',
+    'it', 'its', 'this', 'that', 'these', 'those', 'there', 'from', 'about', 'me', 'my', 'i',
+    'you', 'your', 'we', 'our', 'us', 'they', 'their', 'any', 'some', 'tell', 'please', 'have', 'has',
+    'say', 'says', 'said', 'mean', 'means', 'explain'
+]);
+
+/**
+ * Tokenize text for lexical matching. Dotted section numbers ("1.1.2") survive
+ * as single tokens, and short acronyms or bare numbers are kept.
+ */
+export function tokenize(text) {
+    if (!text) return [];
+
+    return String(text)
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .split(/[^a-z0-9.]+/)
+        .map(t => t.replace(/^\.+|\.+$/g, ''))
+        .filter(t => (t.length > 1 || /\d/.test(t)) && !STOP_WORDS.has(t));
+}
+
+/**
+ * In-memory inverted index with Okapi BM25 scoring
+ */
+export class BM25Index {
+    constructor(options = {}) {
+        this.k1 = options.k1 ?? 1.2;
+        this.b = options.b ?? 0.75;
+        this.postings = new Map();
+        this.docLengths = [];
+        this.avgDocLength = 0;
+        this.docCount = 0;
+    }
+
+    /**
+     * Build the index from an array of document strings (position = document id)
+     */
+    build(documents) {
+        this.postings = new Map();
+        this.docLengths = new Array(documents.length).fill(0);
+        this.docCount = documents.length;
+
+        let totalLength = 0;
+        documents.forEach((doc, docId) => {
+            const tokens = tokenize(doc);
+            this.docLengths[docId] = tokens.length;
+            totalLength += tokens.length;
+
+            const termFreqs = new Map();
+            for (const token of tokens) {
+                termFreqs.set(token, (termFreqs.get(token) || 0) + 1);
+            }
+            for (const [term, tf] of termFreqs) {
+                if (!this.postings.has(term)) this.postings.set(term, []);
+                this.postings.get(term).push([docId, tf]);
+            }
+        });
+
+        this.avgDocLength = this.docCount > 0 ? totalLength / this.docCount : 0;
+        return this;
+    }
+
+    idf(term) {
+        const df = this.postings.get(term)?.length || 0;
+        return Math.log(1 + (this.docCount - df + 0.5) / (df + 0.5));
+    }
+
+    /**
+     * Query terms that occur in at most maxDf documents (section numbers,
+     * store names, acronyms) - a strong signal that exact matching matters
+     */
+    rareTerms(query, maxDf = 3) {
+        return [...new Set(tokenize(query))].filter(term => {
+            const df = this.postings.get(term)?.length || 0;
+            return df > 0 && df <= maxDf;
+        });
+    }
+
+    /**
+     * Share of the query's distinct terms that occur anywhere in the index
+     * (null when the query has no terms)
+     */
+    termCoverage(query) {
+        const terms = [...new Set(tokenize(query))];
+        if (terms.length === 0) return null;
+        return terms.filter(term => this.postings.has(term)).length / terms.length;
+    }
+
+    /**
+     * Ids of documents containing at least one of the given terms
+     */
+    documentsWithTerms(terms) {
+        const docIds = new Set();
+        for (const term of terms) {
+            for (const [docId] of this.postings.get(term) || []) {
+                docIds.add(docId);
+            }
+        }
+        return docIds;
+    }
+
+    /**
+     * Score documents against the query; returns [{ index, score }] sorted by score.
+     * With `allowed` (a Set of document ids) every other document is skipped.
+     */
+    search(query, limit = 50, allowed = null) {
+        const scores = new Map();
+        const queryTerms = [...new Set(tokenize(query))];
+
+        for (const term of queryTerms) {
+            const postings = this.postings.get(term);
+            if (!postings) continue;
+
+            const idf = this.idf(term);
+            for (const [docId, tf] of postings) {
+                if (allowed && !allowed.has(docId)) continue;
+                const lengthNorm = 1 - this.b + this.b * (this.docLengths[docId] / (this.avgDocLength || 1));
+                const termScore = idf * (tf * (this.k1 + 1)) / (tf + this.k1 * lengthNorm);
+                scores.set(docId, (scores.get(docId) || 0) + termScore);
+            }
+        }
+
+        return [...scores.entries()]
+            .map(([index, score]) => ({ index, score }))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+    }
+}
@@ -1,16 +1,28 @@
 // backend/cache-manager.js
 import fs from 'fs';
 import path from 'path';
+import crypto from 'crypto';
 import { fileURLToPath } from 'url';
+import { isSupportedFile } from './document-loaders.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+/**
+ * Stable content hash for chunk text (cache key for its embedding)
+ */
+export function contentHash(text) {
+    return crypto.createHash('sha1').update(text, 'utf8').digest('hex').substring(0, 16);
+}
+
 export class CacheManager {
     constructor(knowledgeBasePath = 'knowledge-base', cachePath = 'embeddings-cache.json') {
         this.knowledgeBasePath = path.join(__dirname, knowledgeBasePath);
         this.cachePath = path.join(__dirname, cachePath);
+        // Binary vectors the cache manifest points to
+        this.vectorFilePath = this.cachePath.replace(/\.json$/, '.bin');
         this.cacheInfoPath = path.join(__dirname, 'cache-info.json');
+        this.vectorIndexPath = path.join(__dirname, 'vector-index.json');
     }
 
     /**
@@ -35,7 +47,7 @@ export class CacheManager {
                     
                     if (stats.isDirectory()) {
                         scanDirectory(itemPath, itemRelativePath);
-                    } else if (item.endsWith('.json')) {
+                    } else if (isSupportedFile(item)) {
                         const fileStats = fs.statSync(itemPath);
                         const fileContent = fs.readFileSync(itemPath, 'utf8');
                         const fileHash = this.simpleHash(fileContent);
@@ -76,6 +88,33 @@ export class CacheManager {
         return hash.toString(36);
     }
 
+    /**
+     * Compare two signatures file by file
+     */
+    diffSignatures(previous, current) {
+        if (!current) return null;
+
+        const previousFiles = previous?.files || {};
+        const currentFiles = current.files || {};
+        const diff = { added: [], changed: [], removed: [], unchanged: [] };
+
+        for (const [file, info] of Object.entries(currentFiles)) {
+            if (!previousFiles[file]) {
+                diff.added.push(file);
+            } else if (previousFiles[file].hash !== info.hash) {
+                diff.changed.push(file);
+            } else {
+                diff.unchanged.push(file);
+            }
+        }
+        for (const file of Object.keys(previousFiles)) {
+            if (!currentFiles[file]) {
+                diff.removed.push(file);
+            }
+        }
+        return diff;
+    }
+
     /**
      * Check if cache is valid and up-to-date
      */
@@ -102,12 +141,15 @@ export class CacheManager {
     /**
      * Save cache information
      */
-    saveCacheInfo(cacheSignature) {
+    saveCacheInfo(cacheSignature, extra = {}) {
         try {
             const info = {
                 ...cacheSignature,
+                ...extra,
                 cacheGenerated: new Date().toISOString(),
-                cacheSize: fs.existsSync(this.cachePath) ? fs.statSync(this.cachePath).size : 0
+                cacheSize: [this.cachePath, this.vectorFilePath]
+                    .filter(file => fs.existsSync(file))
+                    .reduce((total, file) => total + fs.statSync(file).size, 0)
             };
             
             fs.writeFileSync(this.cacheInfoPath, JSON.stringify(info, null, 2));
@@ -141,10 +183,18 @@ export class CacheManager {
                 fs.unlinkSync(this.cachePath);
                 console.log('✅ Embeddings cache deleted');
             }
+            if (fs.existsSync(this.vectorFilePath)) {
+                fs.unlinkSync(this.vectorFilePath);
+                console.log('✅ Vector file deleted');
+            }
             if (fs.existsSync(this.cacheInfoPath)) {
                 fs.unlinkSync(this.cacheInfoPath);
                 console.log('✅ Cache info deleted');
             }
+            if (fs.existsSync(this.vectorIndexPath)) {
+                fs.unlinkSync(this.vectorIndexPath);
+                console.log('✅ Vector index deleted');
+            }
             return true;
         } catch (error) {
             console.error('Error clearing cache:', error);
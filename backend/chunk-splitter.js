@@ -0,0 +1,107 @@
+// backend/chunk-splitter.js
+
+const TOKEN_PATTERN = /[\p{L}\p{N}]+|[^\s\p{L}\p{N}]/gu;
+
+/**
+ * Rough subword token count: every punctuation mark is a token and words
+ * cost one token per ~6 characters. Errs on the high side for English and
+ * Tagalog, which is what a size limit wants.
+ */
+export function estimateTokens(text) {
+    let tokens = 0;
+    for (const [match] of String(text || '').matchAll(TOKEN_PATTERN)) {
+        tokens += /[\p{L}\p{N}]/u.test(match) ? Math.ceil(match.length / 6) : 1;
+    }
+    return tokens;
+}
+
+/**
+ * Break text into spans to pack into windows: one per line, with lines that
+ * are too long on their own broken up word by word
+ */
+function splitUnits(text, maxTokens, maxChars) {
+    const units = [];
+    for (const line of text.matchAll(/[^\n]*(\n+|$)/g)) {
+        if (line[0].length === 0) continue;
+        const start = line.index;
+        const tokens = estimateTokens(line[0]);
+
+        if (tokens <= maxTokens && line[0].length <= maxChars) {
+            units.push({ start, end: start + line[0].length, tokens });
+            continue;
+        }
+        for (const word of line[0].matchAll(/\S+\s*|\s+/g)) {
+            units.push({ start: start + word.index, end: start + word.index + word[0].length, tokens: estimateTokens(word[0]) });
+        }
+    }
+    return units;
+}
+
+/**
+ * Split text into overlapping windows of at most maxTokens (and maxChars).
+ * Windows break on line boundaries where possible and each one repeats up to
+ * overlapTokens from the end of the previous one. Every window is an exact
+ * slice of the input: returns [{ text, start, end }] with character offsets.
+ */
+export function splitIntoWindows(text, { maxTokens = 400, overlapTokens = 60, maxChars = Infinity } = {}) {
+    if (estimateTokens(text) <= maxTokens && text.length <= maxChars) {
+        return [{ text, start: 0, end: text.length }];
+    }
+
+    const units = splitUnits(text, maxTokens, maxChars);
+    const windows = [];
+    let first = 0;
+
+    while (first < units.length) {
+        let last = first;
+        let tokens = units[first].tokens;
+        while (last + 1 < units.length
+            && tokens + units[last + 1].tokens <= maxTokens
+            && units[last + 1].end - units[first].start <= maxChars) {
+            last++;
+            tokens += units[last].tokens;
+        }
+
+        const raw = text.slice(units[first].start, units[last].end);
+        const leading = raw.length - raw.trimStart().length;
+        const trimmed = raw.trim();
+        if (trimmed.length > 0) {
+            const start = units[first].start + leading;
+            windows.push({ text: trimmed, start, end: start + trimmed.length });
+        }
+        if (last === units.length - 1) break;
+
+        // Step back from the end of this window to pick up the overlap
+        let next = last + 1;
+        let overlap = 0;
+        while (next - 1 > first && overlap + units[next - 1].tokens <= overlapTokens) {
+            next--;
+            overlap += units[next].tokens;
+        }
+        first = next;
+    }
+
+    return windows;
+}
+
+/**
+ * Stitch windows of one parent back together (in any order), dropping the
+ * overlapping text. Gaps between non-adjacent windows are marked with "...".
+ */
+export function mergeWindows(windows) {
+    const sorted = [...windows].sort((a, b) => a.start - b.start);
+    let text = '';
+    let end = -1;
+
+    for (const window of sorted) {
+        if (end < 0) {
+            text = window.text;
+        } else if (window.start <= end) {
+            text += window.text.slice(Math.min(end - window.start, window.text.length));
+        } else {
+            text += `\n...\n${window.text}`;
+        }
+        end = Math.max(end, window.end);
+    }
+    return text;
+}
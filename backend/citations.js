@@ -0,0 +1,120 @@
+// backend/citations.js
+import { tokenize } from './bm25-index.js';
+
+const SOURCES_HEADING = /^\s*(?:#{1,6}\s*)?[*_]*\s*(?:sources?|references|mga\s+pinagkunan|pinagkunan|pinagmulan)\s*[*_]*\s*:?\s*[*_]*\s*$/i;
+const LIST_ITEM = /^\s*(?:[-*•]|\d+[.)])\s+(.+?)\s*$/;
+
+function normalizeName(name) {
+    return String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '');
+}
+
+/**
+ * Find the model's "Sources" section: the last heading line that says
+ * "Sources" followed by list items. Returns { names, start, end } (line
+ * numbers, end exclusive) or null when the answer has none.
+ */
+export function extractSourcesSection(answer) {
+    const lines = String(answer || '').split('\n');
+    for (let i = lines.length - 1; i >= 0; i--) {
+        if (!SOURCES_HEADING.test(lines[i])) continue;
+
+        const names = [];
+        let end = i + 1;
+        for (let j = i + 1; j < lines.length; j++) {
+            const item = lines[j].match(LIST_ITEM);
+            if (item) {
+                names.push(item[1].replace(/[*_`]/g, '').trim());
+                end = j + 1;
+            } else if (lines[j].trim() !== '') {
+                break;
+            }
+        }
+        return { names, start: i, end };
+    }
+    return null;
+}
+
+/**
+ * The sentence (or line) of a chunk that shares the most terms with the
+ * answer, cut to maxChars
+ */
+export function bestSnippet(text, answer, maxChars = 200) {
+    const answerTerms = new Set(tokenize(answer));
+    const sentences = String(text || '')
+        .split(/(?<=[.!?])\s+|\n+/)
+        .map(sentence => sentence.trim())
+        .filter(sentence => sentence.length > 0);
+    if (sentences.length === 0) return '';
+
+    let best = sentences[0];
+    let bestScore = -1;
+    for (const sentence of sentences) {
+        const score = tokenize(sentence).filter(term => answerTerms.has(term)).length;
+        if (score > bestScore) {
+            best = sentence;
+            bestScore = score;
+        }
+    }
+    return best.length > maxChars ? `${best.substring(0, maxChars - 1).trimEnd()}…` : best;
+}
+
+/**
+ * Does a name the model wrote refer to this retrieved source? Matches the
+ * context header title or the file name, ignoring case and punctuation.
+ */
+function namesSource(name, source) {
+    const normalized = normalizeName(name);
+    if (!normalized) return false;
+    return [source.sourceTitle, source.fileName]
+        .map(normalizeName)
+        .filter(Boolean)
+        .some(candidate => normalized.includes(candidate) || candidate.includes(normalized));
+}
+
+/**
+ * Citations for the chunks that went into the prompt, plus a check of the
+ * answer's "Sources" section against them. Returns
+ * { citations, sourceCheck: { named, unverified, ok } }; `cited` on each
+ * citation is null when the answer has no Sources section.
+ */
+export function buildCitations(sources, answer) {
+    const section = extractSourcesSection(answer);
+    const named = section ? section.names : [];
+
+    const citations = sources.map(source => ({
+        fileName: source.fileName,
+        source: source.source,
+        context: source.context,
+        path: source.path,
+        url: source.url ?? null,
+        score: source.score ?? null,
+        snippet: bestSnippet(source.text, answer),
+        cited: section ? named.some(name => namesSource(name, source)) : null
+    }));
+    const unverified = named.filter(name => !sources.some(source => namesSource(name, source)));
+
+    return {
+        citations,
+        sourceCheck: { named, unverified, ok: unverified.length === 0 }
+    };
+}
+
+/**
+ * Remove Sources list items that don't match any retrieved source (the whole
+ * section if none are left)
+ */
+export function stripUnverifiedSources(answer, unverified) {
+    const section = extractSourcesSection(answer);
+    if (!section || unverified.length === 0) return answer;
+
+    const lines = answer.split('\n');
+    const rejected = new Set(unverified);
+    const kept = lines.slice(section.start + 1, section.end).filter(line => {
+        const item = line.match(LIST_ITEM);
+        return !item || !rejected.has(item[1].replace(/[*_`]/g, '').trim());
+    });
+    const keptItems = kept.filter(line => LIST_ITEM.test(line));
+
+    const sectionLines = keptItems.length > 0 ? [lines[section.start], ...kept] : [];
+    return [...lines.slice(0, section.start), ...sectionLines, ...lines.slice(section.end)].join('\n').trimEnd();
+}
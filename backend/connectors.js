@@ -0,0 +1,596 @@
+// backend/connectors.js
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import fetch from 'node-fetch';
+import { TextDocument } from './document-loaders.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * External knowledge connectors bring content from outside the knowledge
+ * base folder into the same index. A connector has a `name` (used as the
+ * chunks' `source`), a `refreshMs` freshness window and:
+ *   fetchPayload({ etag, lastModified })  the live content as
+ *       { payload, etag, lastModified }, or { notModified: true } when the
+ *       validators still match (a conditional request)
+ *   loadSnapshot()   { payload, retrievedAt } from its offline snapshot file
+ *   saveSnapshot()   rewrite that file from the live service
+ *   toDocuments(payload, retrievedAt)   payload -> { fileKey: TextDocument }
+ * Payloads are plain JSON so they can be persisted. Each document's metadata
+ * (connector, sourceTitle, url, retrievedAt) is copied onto its chunks.
+ */
+
+// Infobox fields that are layout, not facts
+const SKIPPED_INFOBOX_FIELDS = /^(?:logo|image|caption|alt|logo_size|image_size|logo_alt|logo_caption|image_caption|coordinates|map|module|embed)\d*$/;
+const INFOBOX_LABELS = {
+    name: 'Name',
+    type: 'Type',
+    industry: 'Industry',
+    founded: 'Founded',
+    founder: 'Founder',
+    founders: 'Founders',
+    hq_location: 'Headquarters',
+    hq_location_city: 'Headquarters',
+    hq_location_country: 'Country',
+    area_served: 'Area served',
+    key_people: 'Key people',
+    products: 'Products',
+    brands: 'Brands',
+    services: 'Services',
+    num_employees: 'Employees',
+    divisions: 'Divisions',
+    subsid: 'Subsidiaries',
+    parent: 'Parent',
+    website: 'Website'
+};
+// Article sections that only point elsewhere
+const SKIPPED_SECTIONS = new Set(['see also', 'references', 'notes', 'external links', 'further reading', 'sources']);
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+// Split on `separator` outside {{templates}} and [[links]]
+function splitTopLevel(text, separator) {
+    const parts = [];
+    let depth = 0;
+    let current = '';
+    for (let i = 0; i < text.length; i++) {
+        const pair = text.substring(i, i + 2);
+        if (pair === '{{' || pair === '[[') {
+            depth++;
+            current += pair;
+            i++;
+        } else if ((pair === '}}' || pair === ']]') && depth > 0) {
+            depth--;
+            current += pair;
+            i++;
+        } else if (text[i] === separator && depth === 0) {
+            parts.push(current);
+            current = '';
+        } else {
+            current += text[i];
+        }
+    }
+    parts.push(current);
+    return parts;
+}
+
+// Render the templates infoboxes commonly use; anything else is dropped
+function renderTemplate(body) {
+    const [rawName, ...args] = splitTopLevel(body, '|').map(part => part.trim());
+    const name = rawName.toLowerCase();
+    const positional = args.filter(arg => !/^\w+\s*=/.test(arg));
+
+    if (/^(?:start date|start date and age|founded date)$/.test(name)) {
+        const [year, month, day] = positional.map(Number);
+        if (!year) return '';
+        if (!month) return String(year);
+        return day ? `${MONTH_NAMES[month - 1]} ${day}, ${year}` : `${MONTH_NAMES[month - 1]} ${year}`;
+    }
+    if (/^(?:ubl|unbulleted list|plainlist|flatlist|hlist|bulleted list|ublist)$/.test(name)) {
+        return positional.map(cleanWikitext).filter(Boolean).join(', ');
+    }
+    if (name === 'url' || name === 'official url' || name === 'official website') {
+        return positional[0] || '';
+    }
+    if (name === 'nowrap' || name === 'small') {
+        return cleanWikitext(positional[0] || '');
+    }
+    return '';
+}
+
+/**
+ * Wikitext markup -> plain text (links, the usual infobox templates, refs,
+ * comments and HTML line breaks)
+ */
+export function cleanWikitext(text) {
+    let result = String(text || '')
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .replace(/<ref[^>]*\/>/g, '')
+        .replace(/<ref[^>]*>[\s\S]*?<\/ref>/g, '')
+        .replace(/<br\s*\/?>/gi, ', ');
+
+    // Innermost templates first, so nested ones render inside out
+    let previous;
+    do {
+        previous = result;
+        result = result.replace(/\{\{([^{}]*)\}\}/g, (match, body) => renderTemplate(body));
+    } while (result !== previous);
+
+    return result
+        .replace(/\[\[(?:[^\]|]*\|)?([^\]]*)\]\]/g, '$1')
+        .replace(/\[https?:\/\/\S+\s+([^\]]+)\]/g, '$1')
+        .replace(/'{2,}/g, '')
+        .replace(/<[^>]+>/g, '')
+        .replace(/\s*,\s*(?:,\s*)+/g, ', ')
+        .replace(/\s+/g, ' ')
+        .replace(/^[\s,]+|[\s,]+$/g, '');
+}
+
+/**
+ * Facts from the first {{Infobox ...}} in a page's wikitext, as
+ * { label: value }. Empty when the page has no infobox.
+ */
+export function parseInfobox(wikitext) {
+    const start = String(wikitext || '').search(/\{\{\s*Infobox/i);
+    if (start === -1) return {};
+
+    // Find the matching closing braces
+    let depth = 0;
+    let end = start;
+    for (let i = start; i < wikitext.length - 1; i++) {
+        const pair = wikitext.substring(i, i + 2);
+        if (pair === '{{') {
+            depth++;
+            i++;
+        } else if (pair === '}}') {
+            depth--;
+            i++;
+            if (depth === 0) {
+                end = i - 1;
+                break;
+            }
+        }
+    }
+
+    const facts = {};
+    const [, ...fields] = splitTopLevel(wikitext.substring(start + 2, end), '|');
+    for (const field of fields) {
+        const separator = field.indexOf('=');
+        if (separator === -1) continue;
+        const key = field.substring(0, separator).trim().toLowerCase();
+        if (!key || SKIPPED_INFOBOX_FIELDS.test(key)) continue;
+
+        const value = cleanWikitext(field.substring(separator + 1));
+        if (!value) continue;
+        const label = INFOBOX_LABELS[key] || key.replace(/_/g, ' ').replace(/^\w/, c => c.toUpperCase());
+        facts[label] = facts[label] ? `${facts[label]}, ${value}` : value;
+    }
+    return facts;
+}
+
+/**
+ * Plain-text article extract -> [{ headings, text }] per "== Section ==",
+ * the lead section under `leadHeading`
+ */
+export function splitExtractSections(extract, leadHeading = 'Overview') {
+    const sections = [];
+    const headingStack = [];
+    let body = [];
+
+    const flush = () => {
+        const text = body.join('\n').trim();
+        const headings = headingStack.filter(Boolean);
+        const skipped = headings.some(title => SKIPPED_SECTIONS.has(title.toLowerCase()));
+        if (text.length > 2 && !skipped) {
+            sections.push({ headings: headings.length > 0 ? headings : [leadHeading], text });
+        }
+        body = [];
+    };
+
+    for (const line of String(extract || '').split('\n')) {
+        const match = line.match(/^(={2,6})\s*(.+?)\s*\1\s*$/);
+        if (match) {
+            flush();
+            const level = match[1].length - 1;
+            headingStack.length = level - 1;
+            headingStack[level - 1] = match[2];
+        } else {
+            body.push(line);
+        }
+    }
+    flush();
+    return sections;
+}
+
+function slugify(text) {
+    return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'section';
+}
+
+/**
+ * Wikipedia articles via the MediaWiki API: the infobox (from the lead
+ * section's wikitext) becomes a "Key Information" chunk and the plain-text
+ * extract one chunk per section. Offline, the same API payload is read from
+ * connector-snapshots/wikipedia.json (the committed copy is a synthetic
+ * fixture until it is regenerated with npm run connectors:snapshot).
+ */
+export class WikipediaConnector {
+    constructor(options = {}) {
+        this.name = 'wikipedia';
+        this.titles = options.titles || (process.env.WIKIPEDIA_TITLES || 'CDO_Foodsphere').split(',').map(title => title.trim()).filter(Boolean);
+        this.apiUrl = options.apiUrl || 'https://en.wikipedia.org/w/api.php';
+        this.refreshMs = options.refreshMs || parseInt(process.env.WIKIPEDIA_REFRESH_MS) || 24 * 60 * 60 * 1000;
+        this.timeoutMs = options.timeoutMs || 10000;
+        this.snapshotPath = options.snapshotPath || path.join(__dirname, 'connector-snapshots', 'wikipedia.json');
+    }
+
+    requestUrl() {
+        const params = new URLSearchParams({
+            action: 'query',
+            format: 'json',
+            formatversion: '2',
+            prop: 'extracts|revisions',
+            explaintext: 'true',
+            rvprop: 'content',
+            rvslots: 'main',
+            rvsection: '0',
+            redirects: '1',
+            titles: this.titles.join('|'),
+            origin: '*'
+        });
+        return `${this.apiUrl}?${params}`;
+    }
+
+    /**
+     * The API's pages as { pages: [{ title, extract, wikitext }] } (the shape
+     * the snapshot stores), or { notModified: true } on a 304
+     */
+    async fetchPayload({ etag = null, lastModified = null } = {}) {
+        const headers = { 'User-Agent': 'CompanyAIAssistant/1.0' };
+        if (etag) headers['If-None-Match'] = etag;
+        if (lastModified) headers['If-Modified-Since'] = lastModified;
+
+        const response = await fetch(this.requestUrl(), {
+            headers,
+            signal: AbortSignal.timeout(this.timeoutMs)
+        });
+        if (response.status === 304) {
+            return { notModified: true };
+        }
+        if (!response.ok) {
+            throw new Error(`Wikipedia API error: ${response.status}`);
+        }
+
+        const data = await response.json();
+        const pages = (data.query?.pages || []).filter(page => !page.missing && !page.invalid);
+        if (pages.length === 0) {
+            throw new Error(`Wikipedia has no page for ${this.titles.join(', ')}`);
+        }
+        return {
+            payload: {
+                pages: pages.map(page => ({
+                    title: page.title,
+                    extract: page.extract || '',
+                    wikitext: page.revisions?.[0]?.slots?.main?.content || ''
+                }))
+            },
+            etag: response.headers.get('etag'),
+            lastModified: response.headers.get('last-modified')
+        };
+    }
+
+    loadSnapshot() {
+        const snapshot = JSON.parse(fs.readFileSync(this.snapshotPath, 'utf8'));
+        if (snapshot.synthetic) {
+            console.warn(`⚠️ ${this.snapshotPath} is a hand-written fixture, not real Wikipedia content; run npm run connectors:snapshot to replace it`);
+        }
+        return { payload: { pages: snapshot.pages }, retrievedAt: snapshot.retrievedAt };
+    }
+
+    async saveSnapshot() {
+        const { payload } = await this.fetchPayload();
+        const snapshot = {
+            note: 'Offline snapshot of the Wikipedia API response used when the network is unavailable or RAG_CONNECTORS_OFFLINE=true. Refresh it with npm run connectors:snapshot.',
+            retrievedAt: new Date().toISOString(),
+            titles: this.titles,
+            pages: payload.pages
+        };
+        fs.mkdirSync(path.dirname(this.snapshotPath), { recursive: true });
+        fs.writeFileSync(this.snapshotPath, JSON.stringify(snapshot, null, 2) + '\n');
+        return { path: this.snapshotPath, documents: payload.pages.length };
+    }
+
+    toDocuments({ pages }, retrievedAt) {
+        const documents = {};
+        for (const page of pages) {
+            const pageId = page.title.replace(/ /g, '_');
+            const units = [];
+
+            const facts = parseInfobox(page.wikitext);
+            if (Object.keys(facts).length > 0) {
+                units.push({ headings: ['Key Information'], fields: facts, ref: '#infobox' });
+            }
+            splitExtractSections(page.extract).forEach((section, index) => {
+                units.push({ ...section, ref: `#${slugify(section.headings[section.headings.length - 1])}-${index}` });
+            });
+
+            documents[`${this.name}/${pageId}`] = new TextDocument('wikipedia', units, {
+                connector: this.name,
+                sourceTitle: `Wikipedia - ${page.title}`,
+                url: `https://en.wikipedia.org/wiki/${encodeURIComponent(pageId)}`,
+                retrievedAt
+            });
+        }
+        return documents;
+    }
+}
+
+/**
+ * Connectors named in RAG_CONNECTORS (comma separated, default "wikipedia";
+ * "none" turns external knowledge off)
+ */
+export function createConnectors(names = process.env.RAG_CONNECTORS) {
+    const selected = (names || 'wikipedia').split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+    if (selected.includes('none')) return [];
+
+    return selected.map(name => {
+        switch (name) {
+            case 'wikipedia':
+                return new WikipediaConnector();
+            default:
+                throw new Error(`Unknown knowledge connector: ${name}`);
+        }
+    });
+}
+
+// Stable hash of a payload, to tell a refresh that changed nothing
+function fingerprintPayload(payload) {
+    return crypto.createHash('sha1').update(JSON.stringify(payload), 'utf8').digest('hex').substring(0, 16);
+}
+
+/**
+ * Runs a set of connectors with a stale-while-revalidate policy. The last
+ * good payload of each connector is persisted in connector-cache/<name>.json
+ * with its ETag / Last-Modified validators:
+ *   - fresh (validated within refreshMs): served as is, no request
+ *   - stale: served at once and revalidated in the background with a
+ *     conditional request; if the network fails it keeps being served
+ *   - nothing persisted yet: fetched live, falling back to the offline snapshot
+ * Offline (RAG_CONNECTORS_OFFLINE=true) only the snapshots are used. A
+ * failed revalidation is retried after retryMs, doubling on each further
+ * failure up to the connector's refreshMs.
+ * onUpdate(connectorName, documents) is called when a revalidation brings
+ * changed content.
+ */
+export class ExternalKnowledge {
+    constructor(connectors = createConnectors(), options = {}) {
+        this.connectors = connectors;
+        this.offline = options.offline ?? process.env.RAG_CONNECTORS_OFFLINE === 'true';
+        this.cacheDir = options.cacheDir || path.join(__dirname, 'connector-cache');
+        this.retryMs = options.retryMs || parseInt(process.env.RAG_CONNECTORS_RETRY_MS) || 60 * 1000;
+        this.log = options.quiet ? () => {} : console.log.bind(console);
+        this.documentsByConnector = new Map();
+        this.state = new Map(connectors.map(connector => [connector.name, {
+            origin: null,
+            documents: 0,
+            fingerprint: null,
+            retrievedAt: null,
+            validatedAt: null,
+            etag: null,
+            lastModified: null,
+            nextRefreshAt: null,
+            lastError: null,
+            lastUpdateError: null,
+            failures: 0
+        }]));
+        this.timers = new Map();
+    }
+
+    cachePath(connector) {
+        return path.join(this.cacheDir, `${connector.name}.json`);
+    }
+
+    readCache(connector) {
+        try {
+            const file = this.cachePath(connector);
+            if (!fs.existsSync(file)) return null;
+            const cached = JSON.parse(fs.readFileSync(file, 'utf8'));
+            return cached.connector === connector.name && cached.payload ? cached : null;
+        } catch (error) {
+            console.warn(`⚠️ ${connector.name} connector cache is unreadable, ignoring it: ${error.message}`);
+            return null;
+        }
+    }
+
+    writeCache(connector) {
+        const state = this.state.get(connector.name);
+        try {
+            fs.mkdirSync(this.cacheDir, { recursive: true });
+            fs.writeFileSync(this.cachePath(connector), JSON.stringify({
+                connector: connector.name,
+                retrievedAt: state.retrievedAt,
+                validatedAt: state.validatedAt,
+                etag: state.etag,
+                lastModified: state.lastModified,
+                payload: state.payload
+            }, null, 2));
+        } catch (error) {
+            console.warn(`⚠️ Could not persist ${connector.name} connector content: ${error.message}`);
+        }
+    }
+
+    /**
+     * Make a payload the connector's current content
+     */
+    use(connector, { payload, retrievedAt, validatedAt = null, etag = null, lastModified = null }, origin) {
+        const state = this.state.get(connector.name);
+        const documents = connector.toDocuments(payload, retrievedAt);
+        this.documentsByConnector.set(connector.name, documents);
+        Object.assign(state, {
+            origin,
+            payload,
+            documents: Object.keys(documents).length,
+            fingerprint: fingerprintPayload(payload),
+            retrievedAt,
+            validatedAt,
+            etag,
+            lastModified
+        });
+        return documents;
+    }
+
+    isFresh(connector) {
+        const { validatedAt } = this.state.get(connector.name);
+        return Boolean(validatedAt) && Date.now() - Date.parse(validatedAt) < connector.refreshMs;
+    }
+
+    /**
+     * Load every connector once. Returns all documents as { fileKey: TextDocument }.
+     */
+    async load() {
+        for (const connector of this.connectors) {
+            const state = this.state.get(connector.name);
+            const cached = this.offline ? null : this.readCache(connector);
+
+            if (cached) {
+                this.use(connector, cached, 'cache');
+            } else if (!this.offline) {
+                try {
+                    const fetched = await connector.fetchPayload();
+                    const now = new Date().toISOString();
+                    this.use(connector, { ...fetched, retrievedAt: now, validatedAt: now }, 'live');
+                    this.writeCache(connector);
+                } catch (error) {
+                    state.lastError = error.message;
+                    console.warn(`⚠️ ${connector.name} connector: ${error.message} - using its offline snapshot`);
+                }
+            }
+            if (!state.origin) {
+                try {
+                    this.use(connector, connector.loadSnapshot(), 'snapshot');
+                } catch (error) {
+                    state.lastError = error.message;
+                    console.warn(`⚠️ ${connector.name} connector has no usable snapshot: ${error.message}`);
+                    this.documentsByConnector.set(connector.name, {});
+                }
+            }
+            this.log(`🔌 ${connector.name}: ${state.documents} documents (${state.origin || 'none'}${state.origin === 'cache' ? `, ${this.isFresh(connector) ? 'fresh' : 'stale'}` : ''})`);
+        }
+        return this.documents();
+    }
+
+    documents() {
+        return Object.assign({}, ...this.documentsByConnector.values());
+    }
+
+    /**
+     * Revalidate one connector with a conditional request. Calls onUpdate
+     * when the content changed; on failure the current content stays.
+     * Returns whether the service could be reached: an onUpdate failure is
+     * recorded as lastUpdateError and doesn't count towards the backoff.
+     */
+    async refresh(connector, onUpdate) {
+        const state = this.state.get(connector.name);
+        let changed;
+        let documents;
+        try {
+            // Validators only make sense for content that came from the live service
+            const validators = state.origin === 'snapshot' ? {} : { etag: state.etag, lastModified: state.lastModified };
+            const fetched = await connector.fetchPayload(validators);
+            const now = new Date().toISOString();
+            state.lastError = null;
+            state.failures = 0;
+
+            if (fetched.notModified) {
+                state.validatedAt = now;
+                this.writeCache(connector);
+                this.log(`🔌 ${connector.name} revalidated: not modified`);
+                return true;
+            }
+
+            changed = fingerprintPayload(fetched.payload) !== state.fingerprint;
+            documents = this.use(connector, {
+                ...fetched,
+                // Identical content keeps its original retrieval time
+                retrievedAt: changed ? now : state.retrievedAt,
+                validatedAt: now
+            }, 'live');
+            this.writeCache(connector);
+            this.log(`🔌 ${connector.name} refreshed: ${changed ? 'content changed' : 'unchanged'}`);
+        } catch (error) {
+            state.lastError = error.message;
+            state.failures++;
+            console.warn(`⚠️ ${connector.name} refresh failed, serving the last good copy: ${error.message}`);
+            return false;
+        }
+
+        if (changed) {
+            try {
+                await onUpdate(connector.name, documents);
+                state.lastUpdateError = null;
+            } catch (error) {
+                state.lastUpdateError = error.message;
+                console.error(`❌ ${connector.name} content was refreshed but applying it failed: ${error.message}`);
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Delay before retrying a connector after its latest consecutive failure
+     */
+    retryDelay(connector) {
+        const { failures } = this.state.get(connector.name);
+        return Math.min(this.retryMs * 2 ** Math.max(failures - 1, 0), connector.refreshMs);
+    }
+
+    /**
+     * Revalidate each connector when its content goes stale (at once for
+     * content that is stale already), then every refreshMs; failures are
+     * retried sooner (see retryDelay). Nothing runs offline.
+     */
+    start(onUpdate) {
+        if (this.offline) return this;
+        for (const connector of this.connectors) {
+            const state = this.state.get(connector.name);
+            const schedule = (delay) => {
+                state.nextRefreshAt = new Date(Date.now() + delay).toISOString();
+                const timer = setTimeout(async () => {
+                    const reached = await this.refresh(connector, onUpdate);
+                    schedule(reached ? connector.refreshMs : this.retryDelay(connector));
+                }, delay);
+                timer.unref();
+                this.timers.set(connector.name, timer);
+            };
+            const validatedAt = state.validatedAt ? Date.parse(state.validatedAt) : 0;
+            schedule(Math.max(validatedAt + connector.refreshMs - Date.now(), 0));
+        }
+        return this;
+    }
+
+    stop() {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers.clear();
+    }
+
+    /**
+     * Where each connector's content came from and how fresh it is
+     */
+    status() {
+        return {
+            offline: this.offline,
+            connectors: this.connectors.map(connector => {
+                const { payload, ...state } = this.state.get(connector.name);
+                const validatedAt = state.validatedAt ? Date.parse(state.validatedAt) : null;
+                return {
+                    name: connector.name,
+                    refreshMs: connector.refreshMs,
+                    ...state,
+                    ageMs: validatedAt === null ? null : Date.now() - validatedAt,
+                    fresh: this.isFresh(connector),
+                    cachePath: state.origin === 'snapshot' ? null : this.cachePath(connector)
+                };
+            })
+        };
+    }
+}
@@ -0,0 +1,176 @@
+// backend/document-loaders.js
+import path from 'path';
+import YAML from 'yaml';
+
+/**
+ * Parsed non-JSON document: a flat list of units that each become one chunk.
+ * A unit is { headings: [...], text } or { headings: [...], fields: {...} }
+ * (fields are formatted like a JSON leaf object), plus a `ref` appended to the
+ * file key to build the chunk path. Optional `metadata` (e.g. the url and
+ * title of external content) is copied onto every chunk.
+ */
+export class TextDocument {
+    constructor(format, units, metadata = null) {
+        this.format = format;
+        this.units = units;
+        this.metadata = metadata;
+    }
+}
+
+/**
+ * Markdown: one unit per heading section, carrying the heading trail
+ */
+function parseMarkdown(content) {
+    const units = [];
+    const headingStack = [];
+    let body = [];
+    let inFence = false;
+    let sectionIndex = 0;
+
+    const flush = () => {
+        const text = body.join('\n').trim();
+        if (text.length > 2) {
+            const headings = headingStack.filter(Boolean);
+            const slug = (headings[headings.length - 1] || 'intro')
+                .toLowerCase()
+                .replace(/[^a-z0-9]+/g, '-')
+                .replace(/^-|-$/g, '');
+            units.push({ headings, text, ref: `#${slug || 'section'}-${sectionIndex}` });
+        }
+        body = [];
+        sectionIndex++;
+    };
+
+    for (const line of content.split(/\r?\n/)) {
+        if (/^\s*(```|~~~)/.test(line)) {
+            inFence = !inFence;
+            body.push(line);
+            continue;
+        }
+
+        const heading = !inFence && line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+        if (heading) {
+            flush();
+            const level = heading[1].length;
+            headingStack.length = level - 1;
+            headingStack[level - 1] = heading[2];
+        } else {
+            body.push(line);
+        }
+    }
+    flush();
+
+    return new TextDocument('markdown', units);
+}
+
+/**
+ * Plain text: one unit per blank-line separated paragraph
+ */
+function parseText(content) {
+    const units = content
+        .split(/\r?\n\s*\r?\n/)
+        .map(paragraph => paragraph.trim())
+        .filter(paragraph => paragraph.length > 2)
+        .map((text, index) => ({ headings: [], text, ref: `[${index}]` }));
+
+    return new TextDocument('text', units);
+}
+
+/**
+ * RFC 4180-style CSV parsing (quoted fields, escaped quotes, embedded newlines)
+ */
+export function parseCsvRows(content) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+
+        if (inQuotes) {
+            if (char === '"' && content[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && content[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field.length > 0 || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(r => r.some(value => value.trim().length > 0));
+}
+
+/**
+ * CSV: first row is the header, every following row becomes one unit
+ */
+function parseCsv(content) {
+    const [header = [], ...rows] = parseCsvRows(content.replace(/^\uFEFF/, ''));
+    const keys = header.map(key => key.trim());
+    const titleKeys = ['name', 'title', 'store', 'branch'];
+    const titleColumn = Math.max(0, keys.findIndex(key => titleKeys.includes(key.toLowerCase())));
+
+    const units = rows.map((values, index) => {
+        const fields = {};
+        keys.forEach((key, column) => {
+            const value = (values[column] || '').trim();
+            if (key && value) fields[key] = value;
+        });
+        const title = (values[titleColumn] || '').trim();
+        return { headings: title ? [title] : [], fields, ref: `[${index}]` };
+    });
+
+    return new TextDocument('csv', units.filter(unit => Object.keys(unit.fields).length > 0));
+}
+
+/**
+ * Loader registry. Structured formats (JSON, YAML) parse to plain objects and
+ * go through the recursive JSON chunker; the rest parse to a TextDocument.
+ */
+const LOADERS = [
+    { format: 'json', extensions: ['.json'], parse: (content) => JSON.parse(content) },
+    { format: 'yaml', extensions: ['.yaml', '.yml'], parse: (content) => YAML.parse(content) },
+    { format: 'markdown', extensions: ['.md', '.markdown'], parse: parseMarkdown },
+    { format: 'text', extensions: ['.txt'], parse: parseText },
+    { format: 'csv', extensions: ['.csv'], parse: parseCsv }
+];
+
+export const SUPPORTED_EXTENSIONS = LOADERS.flatMap(loader => loader.extensions);
+
+export function getLoader(fileName) {
+    const extension = path.extname(fileName).toLowerCase();
+    return LOADERS.find(loader => loader.extensions.includes(extension)) || null;
+}
+
+export function isSupportedFile(fileName) {
+    return getLoader(fileName) !== null;
+}
+
+/**
+ * Knowledge base key for a file: its relative path without the extension
+ */
+export function toFileKey(relativePath) {
+    const extension = path.extname(relativePath);
+    return SUPPORTED_EXTENSIONS.includes(extension.toLowerCase())
+        ? relativePath.slice(0, -extension.length)
+        : relativePath;
+}
@@ -0,0 +1,160 @@
+// backend/embedding-providers.js
+import fetch from 'node-fetch';
+
+/**
+ * Gemini text-embedding-004 provider (requires GEMINI_API_KEY and network access)
+ */
+export class GeminiEmbeddingProvider {
+    constructor(options = {}) {
+        this.name = 'gemini';
+        this.model = options.model || 'text-embedding-004';
+        this.dimension = 768;
+        this.apiKey = options.apiKey || process.env.GEMINI_API_KEY;
+        this.maxChars = options.maxChars || 2000;
+        this.timeoutMs = options.timeoutMs || 10000;
+        this.isLocal = false;
+    }
+
+    async embed(text) {
+        if (!this.apiKey) {
+            throw new Error("GEMINI_API_KEY not set in environment");
+        }
+
+        // Safety net only - the chunker already splits chunks to fit maxChars
+        const truncatedText = text.length > this.maxChars ? text.substring(0, this.maxChars) : text;
+
+        let data;
+        try {
+            const response = await fetch(
+                `https://generativelanguage.googleapis.com/v1beta/models/${this.model}:embedContent?key=${this.apiKey}`,
+                {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        model: `models/${this.model}`,
+                        content: { parts: [{ text: truncatedText }] }
+                    }),
+                    signal: AbortSignal.timeout(this.timeoutMs)
+                }
+            );
+
+            if (!response.ok) {
+                throw new Error(`Embedding API error: ${response.status}`);
+            }
+            data = await response.json();
+        } catch (error) {
+            // A hung request surfaces as an ordinary provider error
+            if (error.name === 'AbortError' || error.name === 'TimeoutError') {
+                throw new Error(`Embedding API timed out after ${this.timeoutMs}ms`);
+            }
+            throw error;
+        }
+
+        const values = data?.embedding?.values;
+        if (!Array.isArray(values) || values.length === 0) {
+            throw new Error("Embedding API returned no values");
+        }
+        return values;
+    }
+
+    describe() {
+        return { provider: this.name, model: this.model, dimension: this.dimension };
+    }
+}
+
+/**
+ * Offline provider: projects word unigrams and character trigrams into a fixed
+ * number of buckets with the hashing trick. No network, fully deterministic.
+ */
+export class LocalEmbeddingProvider {
+    constructor(options = {}) {
+        this.name = 'local';
+        this.model = 'hashed-ngram-v1';
+        this.dimension = options.dimension || 512;
+        this.isLocal = true;
+    }
+
+    /**
+     * FNV-1a 32-bit hash
+     */
+    hash(token) {
+        let h = 0x811c9dc5;
+        for (let i = 0; i < token.length; i++) {
+            h ^= token.charCodeAt(i);
+            h = Math.imul(h, 0x01000193);
+        }
+        return h >>> 0;
+    }
+
+    tokenize(text) {
+        return text
+            .toLowerCase()
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .split(/[^a-z0-9.]+/)
+            .map(t => t.replace(/^\.+|\.+$/g, ''))
+            .filter(t => t.length > 1);
+    }
+
+    addFeature(vector, feature, weight) {
+        const h = this.hash(feature);
+        const sign = (h & 0x80000000) ? -1 : 1;
+        vector[h % this.dimension] += sign * weight;
+    }
+
+    async embed(text) {
+        const vector = new Array(this.dimension).fill(0);
+        const tokens = this.tokenize(text || '');
+
+        for (let i = 0; i < tokens.length; i++) {
+            const token = tokens[i];
+            this.addFeature(vector, `w:${token}`, 1.0);
+
+            if (i + 1 < tokens.length) {
+                this.addFeature(vector, `b:${token} ${tokens[i + 1]}`, 0.5);
+            }
+
+            const padded = `#${token}#`;
+            for (let j = 0; j + 3 <= padded.length; j++) {
+                this.addFeature(vector, `c:${padded.substring(j, j + 3)}`, 0.25);
+            }
+        }
+
+        // Sub-linear damping so long chunks don't dominate, then L2-normalize
+        let norm = 0;
+        for (let i = 0; i < vector.length; i++) {
+            vector[i] = Math.sign(vector[i]) * Math.sqrt(Math.abs(vector[i]));
+            norm += vector[i] * vector[i];
+        }
+        norm = Math.sqrt(norm);
+        if (norm > 0) {
+            for (let i = 0; i < vector.length; i++) {
+                vector[i] /= norm;
+            }
+        }
+        return vector;
+    }
+
+    describe() {
+        return { provider: this.name, model: this.model, dimension: this.dimension };
+    }
+}
+
+/**
+ * Pick the provider from EMBEDDING_PROVIDER ('gemini' | 'local').
+ * Defaults to Gemini when an API key is present, otherwise the local embedder.
+ */
+export function createEmbeddingProvider(name = process.env.EMBEDDING_PROVIDER) {
+    const selected = (name || (process.env.GEMINI_API_KEY ? 'gemini' : 'local')).toLowerCase();
+
+    switch (selected) {
+        case 'gemini':
+            return new GeminiEmbeddingProvider();
+        case 'local':
+            return new LocalEmbeddingProvider({
+                dimension: parseInt(process.env.LOCAL_EMBEDDING_DIM) || undefined
+            });
+        default:
+            throw new Error(`Unknown EMBEDDING_PROVIDER: ${selected}`);
+    }
+}
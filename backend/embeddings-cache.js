@@ -0,0 +1,273 @@
+// backend/embeddings-cache.js
+import crypto from 'crypto';
+import { normalizeVector } from './vector-index.js';
+
+/**
+ * On-disk formats of embeddings-cache.json:
+ *   v0  { embeddings: [...], chunks?: [...] }: one vector per chunk, by position
+ *       (`chunks` is present when written by the old cache:regenerate script)
+ *   v1  { vectors: { contentHash: vector }, provider?, chunker? }: no schemaVersion
+ *   v2  { schemaVersion: 2, provider: { provider, model, dimension }, chunker,
+ *         chunkIds: { chunkId: contentHash }, vectors: { contentHash: vector } }
+ *   v3  { schemaVersion: 3, provider, chunker, chunkIds, keys: [contentHash],
+ *         vectorFile: { file, encoding, dimension, count, byteLength, checksum } }: a
+ *       manifest; row i of the binary vector file is the vector for keys[i]
+ *
+ * In memory (after migrateEmbeddingsCache) a cache has the v3 fields with
+ * `vectors` as a Map of content hash -> unit-length Float32Array.
+ */
+export const EMBEDDINGS_CACHE_VERSION = 3;
+
+// float32 keeps vectors as they are; int8 stores a quarter of the bytes with
+// one float32 scale per row and costs a little precision
+export const VECTOR_ENCODINGS = ['float32', 'int8'];
+
+// Caches written before providers were configurable are Gemini caches
+export const LEGACY_PROVIDER = { provider: 'gemini', model: 'text-embedding-004', dimension: 768 };
+
+export class CacheCompatibilityError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CacheCompatibilityError';
+    }
+}
+
+export function detectCacheVersion(raw) {
+    if (Number.isInteger(raw?.schemaVersion)) return raw.schemaVersion;
+    if (raw?.vectors && typeof raw.vectors === 'object') return 1;
+    if (Array.isArray(raw?.embeddings)) return 0;
+    return null;
+}
+
+/**
+ * Which provider fields differ ("model text-embedding-004 -> hashed-ngram-v1"),
+ * or null when the cache was built with the current provider
+ */
+export function describeProviderMismatch(cachedProvider, currentProvider) {
+    const differences = ['provider', 'model', 'dimension']
+        .filter(field => cachedProvider[field] !== currentProvider[field])
+        .map(field => `${field} ${cachedProvider[field]} -> ${currentProvider[field]}`);
+    return differences.length > 0 ? `built for a different embedding provider (${differences.join(', ')})` : null;
+}
+
+// Positional vectors -> content-hash keyed vectors
+function migrateV0(raw, { chunks, chunkKey }) {
+    const vectors = {};
+    if (Array.isArray(raw.chunks)) {
+        if (raw.chunks.length !== raw.embeddings.length) {
+            throw new CacheCompatibilityError(`v0 cache is corrupt: ${raw.chunks.length} chunks but ${raw.embeddings.length} embeddings`);
+        }
+        raw.chunks.forEach((chunk, index) => {
+            if (typeof chunk?.text === 'string' && raw.embeddings[index]?.length > 0) {
+                vectors[chunkKey(chunk)] = raw.embeddings[index];
+            }
+        });
+    } else {
+        if (raw.embeddings.length !== chunks.length) {
+            throw new CacheCompatibilityError(`v0 cache holds ${raw.embeddings.length} vectors by position for ${chunks.length} current chunks and records no chunk text, so they cannot be matched up`);
+        }
+        chunks.forEach((chunk, index) => {
+            if (raw.embeddings[index]?.length > 0) {
+                vectors[chunkKey(chunk)] = raw.embeddings[index];
+            }
+        });
+    }
+    return { vectors, provider: raw.provider, timestamp: raw.timestamp, folderStats: raw.folderStats };
+}
+
+// Record the schema, the provider and which chunk each vector belongs to
+function migrateV1(raw, { chunks, chunkKey, chunkId }) {
+    const provider = raw.provider || LEGACY_PROVIDER;
+    const firstVector = Object.values(raw.vectors).find(vector => vector?.length > 0);
+    const chunkIds = {};
+    for (const chunk of chunks) {
+        const key = chunkKey(chunk);
+        if (raw.vectors[key]) chunkIds[chunkId(chunk)] = key;
+    }
+    return {
+        ...raw,
+        schemaVersion: 2,
+        provider: { ...provider, dimension: provider.dimension ?? firstVector?.length },
+        chunker: raw.chunker || null,
+        chunkIds
+    };
+}
+
+// JSON number arrays -> typed arrays (v3 keeps them in a separate binary file)
+function migrateV2(raw) {
+    const vectors = new Map();
+    for (const [key, vector] of Object.entries(raw.vectors)) {
+        if (vector?.length > 0) vectors.set(key, normalizeVector(vector));
+    }
+    return {
+        schemaVersion: 3,
+        provider: raw.provider,
+        chunker: raw.chunker,
+        chunkIds: raw.chunkIds,
+        vectors,
+        timestamp: raw.timestamp,
+        folderStats: raw.folderStats
+    };
+}
+
+function checksumOf(buffer) {
+    return crypto.createHash('sha1').update(buffer).digest('hex').substring(0, 16);
+}
+
+/**
+ * Pack vectors into the binary vector file. Rows are written in `keys` order;
+ * int8 rows are followed (4-byte aligned) by one float32 scale per row.
+ * Returns { buffer, vectorFile } where vectorFile is the manifest entry
+ * (without the file name).
+ */
+export function encodeVectors(keys, vectors, encoding = 'float32') {
+    if (!VECTOR_ENCODINGS.includes(encoding)) {
+        throw new Error(`Unknown vector encoding "${encoding}" (use ${VECTOR_ENCODINGS.join(', ')})`);
+    }
+    const dimension = keys.length > 0 ? vectors.get(keys[0]).length : 0;
+    const count = keys.length;
+    let bytes;
+
+    if (encoding === 'float32') {
+        const rows = new Float32Array(count * dimension);
+        keys.forEach((key, row) => rows.set(vectors.get(key), row * dimension));
+        bytes = new Uint8Array(rows.buffer);
+    } else {
+        const scalesOffset = Math.ceil((count * dimension) / 4) * 4;
+        bytes = new Uint8Array(scalesOffset + count * 4);
+        const rows = new Int8Array(bytes.buffer, 0, count * dimension);
+        const scales = new Float32Array(bytes.buffer, scalesOffset, count);
+        keys.forEach((key, row) => {
+            const vector = vectors.get(key);
+            let maxAbs = 0;
+            for (let d = 0; d < dimension; d++) maxAbs = Math.max(maxAbs, Math.abs(vector[d]));
+            const scale = maxAbs / 127 || 1;
+            scales[row] = scale;
+            for (let d = 0; d < dimension; d++) {
+                rows[row * dimension + d] = Math.round(vector[d] / scale);
+            }
+        });
+    }
+
+    const buffer = Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    return {
+        buffer,
+        vectorFile: { encoding, dimension, count, byteLength: bytes.byteLength, checksum: checksumOf(buffer) }
+    };
+}
+
+/**
+ * Read the binary vector file into a Map of key -> Float32Array. float32 rows
+ * are views into one buffer; int8 rows are dequantized into one buffer.
+ */
+export function decodeVectors(buffer, keys, vectorFile) {
+    const { encoding, dimension, count, byteLength } = vectorFile;
+    if (keys.length !== count) {
+        throw new CacheCompatibilityError(`manifest lists ${keys.length} keys for ${count} vectors`);
+    }
+    if (buffer.byteLength !== byteLength) {
+        throw new CacheCompatibilityError(`vector file ${vectorFile.file} has ${buffer.byteLength} bytes, manifest expects ${byteLength}`);
+    }
+    if (vectorFile.checksum && checksumOf(buffer) !== vectorFile.checksum) {
+        throw new CacheCompatibilityError(`vector file ${vectorFile.file} does not match the manifest checksum (written by another cache build?)`);
+    }
+    // Typed array views need 4-byte alignment; copy only when the read buffer isn't aligned
+    const bytes = buffer.byteOffset % 4 === 0
+        ? new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength)
+        : Uint8Array.from(buffer);
+
+    const vectors = new Map();
+    if (encoding === 'float32') {
+        const rows = new Float32Array(bytes.buffer, bytes.byteOffset, count * dimension);
+        keys.forEach((key, row) => vectors.set(key, rows.subarray(row * dimension, (row + 1) * dimension)));
+    } else if (encoding === 'int8') {
+        const quantized = new Int8Array(bytes.buffer, bytes.byteOffset, count * dimension);
+        const scales = new Float32Array(bytes.buffer, bytes.byteOffset + Math.ceil((count * dimension) / 4) * 4, count);
+        const rows = new Float32Array(count * dimension);
+        keys.forEach((key, row) => {
+            // Dequantize and restore unit length in place
+            const vector = rows.subarray(row * dimension, (row + 1) * dimension);
+            let norm = 0;
+            for (let d = 0; d < dimension; d++) {
+                vector[d] = quantized[row * dimension + d] * scales[row];
+                norm += vector[d] * vector[d];
+            }
+            norm = Math.sqrt(norm) || 1;
+            for (let d = 0; d < dimension; d++) vector[d] /= norm;
+            vectors.set(key, vector);
+        });
+    } else {
+        throw new CacheCompatibilityError(`unknown vector encoding "${encoding}"`);
+    }
+    return vectors;
+}
+
+// Manifest + binary vector file -> in-memory cache
+function loadV3(raw, { readVectorFile }) {
+    if (!raw.vectorFile || !Array.isArray(raw.keys)) {
+        throw new CacheCompatibilityError('v3 manifest has no vectorFile or keys');
+    }
+    const buffer = readVectorFile(raw.vectorFile.file);
+    if (!buffer) {
+        throw new CacheCompatibilityError(`vector file ${raw.vectorFile.file} is missing`);
+    }
+    return { ...raw, vectors: decodeVectors(buffer, raw.keys, raw.vectorFile) };
+}
+
+/**
+ * Bring a parsed cache up to the current schema. `chunks`, `chunkKey` and
+ * `chunkId` describe the current chunk list, which older caches are matched
+ * against; `readVectorFile(name)` returns the bytes of a v3 vector file (or
+ * null). Returns { cache, migratedFrom } (migratedFrom is null when the
+ * cache was already current). Throws CacheCompatibilityError saying why a
+ * cache can't be used.
+ */
+export function migrateEmbeddingsCache(raw, context) {
+    const version = detectCacheVersion(raw);
+    if (version === null) {
+        throw new CacheCompatibilityError('unrecognized format (no schemaVersion, vectors or embeddings)');
+    }
+    if (version > EMBEDDINGS_CACHE_VERSION) {
+        throw new CacheCompatibilityError(`schema v${version} is newer than this server understands (v${EMBEDDINGS_CACHE_VERSION})`);
+    }
+
+    let cache = raw;
+    if (version === 0) cache = migrateV0(cache, context);
+    if (version <= 1) cache = migrateV1(cache, context);
+    if (version <= 2) cache = migrateV2(cache);
+    if (version === 3) cache = loadV3(cache, context);
+
+    return { cache, migratedFrom: version === EMBEDDINGS_CACHE_VERSION ? null : version };
+}
+
+/**
+ * Why a current-schema cache can't serve the current provider, or null.
+ * Checks the recorded provider and the length of every stored vector.
+ */
+export function checkCacheProvider(cache, currentProvider) {
+    const mismatch = describeProviderMismatch(cache.provider, currentProvider);
+    if (mismatch) return mismatch;
+
+    const wrongSize = [...cache.vectors.values()].filter(vector => vector?.length > 0 && vector.length !== currentProvider.dimension);
+    if (wrongSize.length > 0) {
+        return `${wrongSize.length} vectors have dimension ${wrongSize[0].length}, expected ${currentProvider.dimension}`;
+    }
+    return null;
+}
+
+/**
+ * Chunks added, edited (same id, new content) and removed since the cache
+ * was written
+ */
+export function diffChunkIds(cachedIds, chunks, { chunkKey, chunkId }) {
+    const current = new Map(chunks.map(chunk => [chunkId(chunk), chunkKey(chunk)]));
+    const cached = cachedIds || {};
+    let added = 0;
+    let edited = 0;
+    for (const [id, key] of current) {
+        if (!(id in cached)) added++;
+        else if (cached[id] !== key) edited++;
+    }
+    const removed = Object.keys(cached).filter(id => !current.has(id)).length;
+    return { added, edited, removed };
+}
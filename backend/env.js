@@ -0,0 +1,12 @@
+// backend/env.js
+
+/**
+ * A numeric setting from the environment. 0 is a meaningful value for most
+ * settings (a fusion weight of 0 turns that ranking off, a margin of 0
+ * requires none), so only unset or non-numeric values fall back to the
+ * default.
+ */
+export function envNumber(name, fallback) {
+    const value = parseFloat(process.env[name]);
+    return Number.isNaN(value) ? fallback : value;
+}
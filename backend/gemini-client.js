@@ -0,0 +1,28 @@
+// backend/gemini-client.js
+import fetch from 'node-fetch';
+
+export const GEMINI_MODEL = 'gemini-2.0-flash-exp';
+
+/**
+ * One generateContent call. Returns { ok, status, data, text } so callers can
+ * pass API errors through; throws only on network failure.
+ */
+export async function generateContent(prompt, generationConfig = {}, apiKey = process.env.GEMINI_API_KEY) {
+    const response = await fetch(
+        `https://generativelanguage.googleapis.com/v1beta/models/${GEMINI_MODEL}:generateContent?key=${apiKey}`,
+        {
+            method: "POST",
+            headers: {
+                "Content-Type": "application/json"
+            },
+            body: JSON.stringify({
+                contents: [{ parts: [{ text: prompt }] }],
+                generationConfig
+            }),
+        }
+    );
+
+    const data = await response.json();
+    const text = data?.candidates?.[0]?.content?.parts?.[0]?.text || '';
+    return { ok: response.ok, status: response.status, data, text };
+}
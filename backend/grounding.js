@@ -0,0 +1,171 @@
+// backend/grounding.js
+import { tokenize } from './bm25-index.js';
+import { extractSourcesSection } from './citations.js';
+import { envNumber } from './env.js';
+
+export const GROUNDING_CONFIG = {
+    // Share of a claim's terms that must appear in the context
+    minLexicalSupport: envNumber('RAG_GROUNDING_MIN_OVERLAP', 0.6),
+    // Cosine similarity to a retrieved chunk that rescues a paraphrased claim
+    minEmbeddingSupport: envNumber('RAG_GROUNDING_MIN_SIMILARITY', 0.75),
+    // Shorter sentences ("Here's what I found:") are not treated as claims
+    minClaimTerms: 3
+};
+
+// Pleasantries, refusals and offers to help make no factual claim
+const NON_CLAIM = /^(i'?m sorry|sorry|i (?:don'?t|do not) have|hello|hi\b|hope this helps|feel free|let me know|is there anything|pasensya|paumanhin|wala akong)/i;
+
+// "May" is left out: it is also a modal verb ("employees may ..."), so only a
+// capitalised May next to a day or year counts as a date (MAY_DATE_PATTERN)
+const MONTHS = 'jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|jun(?:e)?|jul(?:y)?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?';
+const DATE_PATTERN = new RegExp(`\\b(?:(?:${MONTHS})\\.?\\s+\\d{1,2}(?:st|nd|rd|th)?(?:,?\\s+\\d{4})?|\\d{1,2}\\s+(?:${MONTHS})\\.?(?:,?\\s+\\d{4})?)\\b`, 'gi');
+const MAY_DATE_PATTERN = /\b(?:May\s+\d{1,2}(?:st|nd|rd|th)?(?:,?\s+\d{4})?|\d{1,2}\s+May(?:,?\s+\d{4})?|May,?\s+\d{4})\b/g;
+const NUMBER_PATTERN = /\d+(?:[.,:/-]\d+)*%?/g;
+const NAME_PATTERN = /\b[A-Z][a-zA-Z'’-]+(?:\s+(?:of|de|del|ng|and|&)?\s*[A-Z][a-zA-Z'’-]+)+\b|\b[A-Z]{3,}\b/g;
+
+function normalize(text) {
+    return String(text || '')
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/(\d),(?=\d{3}\b)/g, '$1')
+        .replace(/[’']/g, "'")
+        .replace(/\s+/g, ' ');
+}
+
+// Plural and simple verb forms count as the same term
+function stem(term) {
+    return term.length > 4 ? term.replace(/(?:ies|es|s)$/, '') : term;
+}
+
+function stripMarkdown(text) {
+    return text
+        .replace(/^\s*(?:#{1,6}\s+|[-*•]\s+|\d+[.)]\s+|>\s*)/, '')
+        .replace(/[*_`]/g, '')
+        .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .trim();
+}
+
+/**
+ * Split an answer into claims: sentences of its body (the "Sources" section
+ * excluded), each with its character offsets in the answer. Headings,
+ * questions and pleasantries are skipped.
+ */
+export function splitClaims(answer, config = GROUNDING_CONFIG) {
+    const text = String(answer || '');
+    const lines = text.split('\n');
+    const section = extractSourcesSection(text);
+    const claims = [];
+
+    let offset = 0;
+    lines.forEach((line, lineIndex) => {
+        const lineStart = offset;
+        offset += line.length + 1;
+        if (section && lineIndex >= section.start && lineIndex < section.end) return;
+        if (/^\s*#{1,6}\s/.test(line)) return;
+
+        // Sentence ends are punctuation followed by a space, so "4.1.2" and "7:00am" stay whole
+        let cursor = 0;
+        for (const raw of line.split(/(?<=[.!?])\s+/)) {
+            const index = line.indexOf(raw, cursor);
+            cursor = index + raw.length;
+
+            const claim = stripMarkdown(raw);
+            // Bold-only lines are headings too
+            if (!claim || /^\s*\*\*[^*]+\*\*:?\s*$/.test(raw)) continue;
+            if (claim.endsWith('?') || claim.endsWith(':') || NON_CLAIM.test(claim)) continue;
+            if (tokenize(claim).length < config.minClaimTerms) continue;
+
+            // The span leaves out list markers and emphasis around the sentence
+            const lead = raw.match(/^\s*(?:[-*•]\s+|\d+[.)]\s+|>\s*)?[*_`]*/)[0].length;
+            const trail = raw.match(/[*_`]*\s*$/)[0].length;
+            claims.push({ text: claim, start: lineStart + index + lead, end: lineStart + index + raw.length - trail });
+        }
+    });
+    return claims;
+}
+
+/**
+ * Numbers, dates and proper names in a claim; these have to appear in the
+ * context verbatim, however well the rest of the sentence overlaps
+ */
+export function extractEntities(claim) {
+    const entities = [];
+    const seen = new Set();
+    const add = (type, value) => {
+        const key = normalize(value);
+        if (!seen.has(key)) {
+            seen.add(key);
+            entities.push({ type, value });
+        }
+    };
+
+    let rest = claim;
+    for (const date of [...(claim.match(DATE_PATTERN) || []), ...(claim.match(MAY_DATE_PATTERN) || [])]) {
+        add('date', date);
+        rest = rest.replace(date, ' ');
+    }
+    for (const number of rest.match(NUMBER_PATTERN) || []) {
+        add('number', number.replace(/[.,:/-]+$/, ''));
+    }
+    for (const name of rest.match(NAME_PATTERN) || []) {
+        // A capitalized sentence opener ("The Company") is not part of the name
+        const trimmed = name.replace(/^(?:The|A|An|Ang|Mga|Sa)\s+/, '');
+        if (/\s|^[A-Z]{3,}$/.test(trimmed)) add('name', trimmed);
+    }
+    return entities;
+}
+
+/**
+ * Check each claim of an answer against the context that went into the
+ * prompt. A claim is supported when enough of its terms occur in the
+ * context, or, failing that, when embeddingSupport(claim) (an optional async
+ * callback returning the best cosine similarity to a retrieved chunk) clears
+ * the threshold. Numbers, dates and names missing from the context always
+ * make a claim unsupported.
+ * Returns { score, claims, supported, unsupported: [{ text, start, end, reason, missing, overlap, similarity }] }.
+ */
+export async function verifyGrounding(answer, sources, { embeddingSupport = null, config = GROUNDING_CONFIG } = {}) {
+    const contextText = normalize(sources.map(source => source.text || '').join('\n'));
+    const contextTerms = new Set(tokenize(contextText).map(stem));
+    const claims = splitClaims(answer, config);
+    const unsupported = [];
+
+    for (const claim of claims) {
+        const missing = extractEntities(claim.text)
+            .filter(entity => !contextText.includes(normalize(entity.value)))
+            .map(entity => entity.value);
+
+        const terms = [...new Set(tokenize(claim.text).map(stem))];
+        const overlap = terms.filter(term => contextTerms.has(term)).length / terms.length;
+
+        let similarity = null;
+        if (missing.length === 0 && overlap < config.minLexicalSupport && embeddingSupport) {
+            try {
+                similarity = await embeddingSupport(claim.text);
+            } catch (error) {
+                console.warn(`⚠️ Grounding embedding check failed: ${error.message}`);
+            }
+        }
+
+        const supported = missing.length === 0 &&
+            (overlap >= config.minLexicalSupport || (similarity !== null && similarity >= config.minEmbeddingSupport));
+        if (!supported) {
+            unsupported.push({
+                ...claim,
+                reason: missing.length > 0 ? 'missing-entities' : 'low-overlap',
+                missing,
+                overlap: Number(overlap.toFixed(3)),
+                similarity: similarity === null ? null : Number(similarity.toFixed(3))
+            });
+        }
+    }
+
+    const score = claims.length === 0 ? 1 : (claims.length - unsupported.length) / claims.length;
+    return {
+        score: Number(score.toFixed(3)),
+        claims: claims.length,
+        supported: claims.length - unsupported.length,
+        unsupported
+    };
+}
@@ -0,0 +1,172 @@
+// backend/intent-router.js
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { normalizeVector, dotProduct } from './vector-index.js';
+import { envNumber } from './env.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const INTENT_CONFIG = {
+    examplesPath: process.env.RAG_INTENT_EXAMPLES || path.join(__dirname, 'intents', 'examples.json'),
+    // A question is routed to an intent when its similarity to the centroid
+    // reaches the intent's threshold and beats the runner-up by minMargin;
+    // otherwise it takes the general route. Thresholds are learned per intent
+    // (similarity scales differ between embedding providers): the given
+    // percentile of each example's similarity to the centroid of the other
+    // examples. Routes that skip the search use the stricter percentile.
+    // RAG_INTENT_MIN_SIMILARITY sets one fixed threshold instead.
+    minSimilarity: envNumber('RAG_INTENT_MIN_SIMILARITY', null),
+    thresholdPercentile: 0.2,
+    noRetrievalPercentile: 0.5,
+    minMargin: envNumber('RAG_INTENT_MIN_MARGIN', 0.02),
+    // A route that skips the search is only taken when at most this share of
+    // the question's terms occurs in the knowledge base, so an in-scope
+    // question that happens to look like small talk still gets searched
+    maxKnownTermShare: envNumber('RAG_INTENT_MAX_KNOWN_TERM_SHARE', 0.5)
+};
+
+// Unclassified questions search everything and get the standard template
+export const GENERAL_ROUTE = { retrieval: true, filters: null, template: 'standard' };
+
+function percentile(values, fraction) {
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.min(Math.floor(fraction * sorted.length), sorted.length - 1)];
+}
+
+// Each example's similarity to the centroid of the other examples
+function leaveOneOutSimilarities(vectors, sum) {
+    if (vectors.length < 2) return [];
+    return vectors.map(vector => {
+        const others = sum.map((value, d) => value - vector[d]);
+        return dotProduct(vector, normalizeVector(others));
+    });
+}
+
+/**
+ * Routes questions to an intent (company history, HR policy, store lookup,
+ * small talk, out of scope, ...) by embedding similarity to the centroid of
+ * each intent's labelled examples in intents/examples.json. An intent's route
+ * says whether to search, with which filters, and which prompt template to use.
+ *
+ * `embed(text)` embeds the examples; `embedQuery(question)` embeds questions
+ * (defaults to embed; the server passes the RAG system's cached query embedding).
+ * `knownTermShare(question)`, when given, returns the share of the question's
+ * terms found in the knowledge base (0-1, or null) for the no-search guard.
+ */
+export class IntentRouter {
+    constructor({ embed, embedQuery = embed, knownTermShare = null, config = INTENT_CONFIG }) {
+        this.embed = embed;
+        this.embedQuery = embedQuery;
+        this.knownTermShare = knownTermShare;
+        this.config = config;
+        this.intents = new Map();
+        this.isInitialized = false;
+    }
+
+    /**
+     * Load the examples and build one centroid per intent. Examples that fail
+     * to embed are skipped; an intent with none left is not routed to.
+     */
+    async initialize() {
+        const { intents } = JSON.parse(fs.readFileSync(this.config.examplesPath, 'utf8'));
+        const loaded = new Map();
+
+        for (const [name, definition] of Object.entries(intents)) {
+            const vectors = [];
+            let failed = 0;
+            for (const example of definition.examples) {
+                try {
+                    vectors.push(normalizeVector(await this.embed(example)));
+                } catch (error) {
+                    failed++;
+                }
+            }
+            if (failed > 0) {
+                console.warn(`⚠️ Intent "${name}": ${failed}/${definition.examples.length} examples could not be embedded`);
+            }
+            if (vectors.length === 0) continue;
+
+            // Mean of the unit example vectors, itself normalized
+            const sum = new Float32Array(vectors[0].length);
+            for (const vector of vectors) {
+                for (let d = 0; d < sum.length; d++) sum[d] += vector[d];
+            }
+            const route = { ...GENERAL_ROUTE, ...definition.route };
+            const heldOut = leaveOneOutSimilarities(vectors, sum);
+            const calibrated = heldOut.length > 0
+                ? percentile(heldOut, route.retrieval ? this.config.thresholdPercentile : this.config.noRetrievalPercentile)
+                : 0;
+            loaded.set(name, {
+                description: definition.description,
+                route,
+                minSimilarity: this.config.minSimilarity ?? Number(calibrated.toFixed(3)),
+                examples: vectors.length,
+                centroid: normalizeVector(sum)
+            });
+        }
+
+        this.intents = loaded;
+        this.isInitialized = loaded.size > 0;
+        return this;
+    }
+
+    /**
+     * Classify a question. Returns { intent, similarity, margin, confident,
+     * route, scores }; intent is null and the route general when no intent is
+     * a confident match (or the question can't be embedded).
+     */
+    async classify(question) {
+        const unclassified = { intent: null, similarity: null, margin: null, confident: false, bestGuess: null, knownTermShare: null, route: GENERAL_ROUTE, scores: {} };
+        if (!this.isInitialized) return unclassified;
+
+        let query;
+        try {
+            query = normalizeVector(await this.embedQuery(question));
+        } catch (error) {
+            console.warn(`⚠️ Intent routing skipped, question could not be embedded: ${error.message}`);
+            return unclassified;
+        }
+
+        const ranked = [...this.intents]
+            .map(([name, intent]) => ({ name, similarity: dotProduct(query, intent.centroid) }))
+            .sort((a, b) => b.similarity - a.similarity);
+        const [best, runnerUp] = ranked;
+        const margin = runnerUp ? best.similarity - runnerUp.similarity : best.similarity;
+        let confident = best.similarity >= this.intents.get(best.name).minSimilarity && margin >= this.config.minMargin;
+
+        let knownTermShare = null;
+        if (confident && !this.intents.get(best.name).route.retrieval && this.knownTermShare) {
+            knownTermShare = this.knownTermShare(question);
+            if (knownTermShare !== null && knownTermShare > this.config.maxKnownTermShare) {
+                confident = false;
+            }
+        }
+
+        return {
+            intent: confident ? best.name : null,
+            similarity: Number(best.similarity.toFixed(3)),
+            margin: Number(margin.toFixed(3)),
+            confident,
+            // The best guess is reported even when it isn't acted on
+            bestGuess: best.name,
+            knownTermShare: knownTermShare === null ? null : Number(knownTermShare.toFixed(3)),
+            route: confident ? this.intents.get(best.name).route : GENERAL_ROUTE,
+            scores: Object.fromEntries(ranked.map(({ name, similarity }) => [name, Number(similarity.toFixed(3))]))
+        };
+    }
+
+    status() {
+        return {
+            initialized: this.isInitialized,
+            minMargin: this.config.minMargin,
+            maxKnownTermShare: this.knownTermShare ? this.config.maxKnownTermShare : null,
+            intents: Object.fromEntries([...this.intents].map(([name, intent]) => [name, {
+                description: intent.description,
+                minSimilarity: intent.minSimilarity,
+                examples: intent.examples,
+                route: intent.route
+            }]))
+        };
+    }
+}
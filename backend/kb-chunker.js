@@ -0,0 +1,586 @@
+// backend/kb-chunker.js
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { TextDocument, getLoader, isSupportedFile, toFileKey } from './document-loaders.js';
+import { LANGUAGES, parseLanguageKey } from './language.js';
+import { splitIntoWindows } from './chunk-splitter.js';
+import { contentHash } from './cache-manager.js';
+
+// Bump whenever a chunking change alters chunk text or paths, so caches built
+// by an older chunker are recognized as such
+export const CHUNKER_VERSION = 2;
+
+// Fields that only name an object (in any language variant, e.g.
+// "title" / "tagalog_title"); an object with nothing else of its own gets
+// them attached to its first body chunk instead of a title-only chunk
+const HEADING_KEYS = new Set(['title', 'name']);
+
+// Chunks over this size are split into overlapping windows (estimated tokens)
+export const CHUNKING_CONFIG = {
+    maxTokens: parseInt(process.env.RAG_CHUNK_MAX_TOKENS) || 400,
+    overlapTokens: parseInt(process.env.RAG_CHUNK_OVERLAP_TOKENS) || 60
+};
+
+/**
+ * Loads the knowledge-base folder tree and turns it into chunks
+ * ({ text, path, context, parentContext, source, fileName, ... }).
+ * Shared by the server's RAG system and the maintenance scripts so they
+ * always see the same chunks.
+ */
+export class KnowledgeBaseChunker {
+    constructor(options = {}) {
+        this.knowledgeBasePath = options.knowledgeBasePath;
+        this.chunkOptions = {
+            maxTokens: options.maxTokens || CHUNKING_CONFIG.maxTokens,
+            overlapTokens: options.overlapTokens ?? CHUNKING_CONFIG.overlapTokens,
+            // Embedding providers with an input limit (Gemini) set maxChars
+            maxChars: options.maxChars || Infinity
+        };
+        this.aggregateChunksCount = 0;
+        this.loadErrors = [];
+        // Scripts pass quiet: true to skip the per-file progress output
+        this.log = options.quiet ? () => {} : console.log.bind(console);
+    }
+
+    /**
+     * Recursively load knowledge base from folder structure
+     */
+    loadKnowledgeBase() {
+        this.loadErrors = [];
+        try {
+            const knowledgeBase = {};
+            
+            this.log("📂 Checking knowledge-base directory structure...");
+            this.log("📍 Root knowledge base path:", this.knowledgeBasePath);
+            
+            if (!fs.existsSync(this.knowledgeBasePath)) {
+                console.warn("⚠️ knowledge-base directory not found, creating it...");
+                fs.mkdirSync(this.knowledgeBasePath, { recursive: true });
+                // Create minimal sample to prevent crashes
+                const sampleData = {
+                    "welcome": {
+                        "message": "Welcome to CDO Foodsphere AI Assistant",
+                        "description": "This is the knowledge base for CDO Foodsphere, Inc."
+                    }
+                };
+                fs.writeFileSync(path.join(this.knowledgeBasePath, 'sample.json'), JSON.stringify(sampleData, null, 2));
+                knowledgeBase['sample'] = sampleData;
+                return knowledgeBase;
+            }
+            
+            // Load files from all subdirectories
+            this.loadFilesFromDirectory(this.knowledgeBasePath, knowledgeBase, '');
+            
+            this.log("✅ All knowledge base folders and files loaded successfully");
+            this.log("📊 Total categories in knowledge base:", Object.keys(knowledgeBase).length);
+            
+            return knowledgeBase;
+            
+        } catch (error) {
+            console.error("❌ Failed to load knowledge base:", error);
+            // Return minimal knowledge base to prevent crashes
+            return { 'error-fallback': { 'message': 'Knowledge base loading failed' } };
+        }
+    }
+    
+    /**
+     * Load files from directory recursively
+     */
+    loadFilesFromDirectory(dirPath, knowledgeBase, relativePath) {
+        try {
+            const items = fs.readdirSync(dirPath);
+            
+            for (const item of items) {
+                const itemPath = path.join(dirPath, item);
+                const itemRelativePath = relativePath ? `${relativePath}/${item}` : item;
+                const stats = fs.statSync(itemPath);
+                
+                if (stats.isDirectory()) {
+                    this.log(`📁 Loading directory: ${itemRelativePath}`);
+                    // Recursively load subdirectory
+                    this.loadFilesFromDirectory(itemPath, knowledgeBase, itemRelativePath);
+                } else if (isSupportedFile(item)) {
+                    this.loadDocumentFile(itemPath, itemRelativePath, knowledgeBase);
+                }
+            }
+        } catch (error) {
+            console.error(`❌ Error reading directory ${dirPath}:`, error.message);
+            this.loadErrors.push({ file: relativePath || '.', error: error.message });
+        }
+    }
+    
+    /**
+     * Load an individual knowledge base file (.json, .yaml, .md, .txt, .csv)
+     */
+    loadDocumentFile(filePath, relativePath, knowledgeBase) {
+        try {
+            this.log(`📖 Reading file: ${relativePath}`);
+            
+            const loader = getLoader(relativePath);
+            const data = fs.readFileSync(filePath, 'utf8');
+            const parsed = loader.parse(data);
+            
+            // Use the relative path (minus extension) as the key to preserve folder structure
+            const fileKey = toFileKey(relativePath);
+            if (knowledgeBase[fileKey]) {
+                console.warn(`⚠️ ${relativePath} replaces another file with the same name (${fileKey})`);
+            }
+            knowledgeBase[fileKey] = parsed;
+            
+            if (parsed instanceof TextDocument) {
+                this.log(`✅ Loaded: ${fileKey} (${loader.format}) with ${parsed.units.length} sections`);
+                return;
+            }
+            
+            this.log(`✅ Loaded: ${fileKey} (${loader.format}) with ${Object.keys(parsed || {}).length} top-level keys`);
+            
+            // Log first few keys to verify content
+            const firstKeys = Object.keys(parsed || {}).slice(0, 3);
+            if (firstKeys.length > 0) {
+                this.log(`   Sample keys: ${firstKeys.join(', ')}`);
+            }
+            
+        } catch (error) {
+            console.error(`❌ Error loading ${relativePath}:`, error.message);
+            this.loadErrors.push({ file: relativePath, error: error.message });
+        }
+    }
+
+    // =================================================================
+    // START: UPDATED UNIVERSAL CHUNKING LOGIC (with fileName)
+    // =================================================================
+
+    /**
+     * NEW HELPER: Find a title-like key in an object
+     */
+    _findContextTitle(obj) {
+        if (typeof obj !== 'object' || obj === null) return null;
+        
+        // Prioritize common title keys
+        const titleKeys = ['title', 'name', 'stage_name', 'provision_english', 'question', 'value'];
+        for (const key of titleKeys) {
+            if (typeof obj[key] === 'string' && obj[key].length > 0 && obj[key].length < 150) {
+                return obj[key];
+            }
+        }
+        
+        return null;
+    }
+
+    /**
+     * NEW HELPER: Format a "leaf" object into a single text chunk
+     */
+    _formatLeafObject(obj) {
+        let text = '';
+        // Prioritize specific keys to put them first
+        const priorityKeys = ['sn', 'question', 'title', 'name', 'value'];
+        
+        const sortedEntries = Object.entries(obj).sort(([keyA], [keyB]) => {
+            const indexA = priorityKeys.indexOf(keyA);
+            const indexB = priorityKeys.indexOf(keyB);
+            
+            if (indexA !== -1 && indexB !== -1) return indexA - indexB;
+            if (indexA !== -1) return -1;
+            if (indexB !== -1) return 1;
+            return 0;
+        });
+
+        for (const [key, value] of sortedEntries) {
+            if ((typeof value === 'string' && value.length > 0) || typeof value === 'number') {
+                // Format key, then add value (untitled language variants are added as-is)
+                text += key === '' ? `${value}\n` : `${this.formatKeyAsTitle(key)}: ${value}\n`;
+            }
+            // We ignore nested objects/arrays in this simple formatter
+        }
+        return text.trim();
+    }
+    
+    /**
+     * Split an object with English/Tagalog sibling fields ("english"/"tagalog",
+     * "provision_english"/"provision_tagalog", "title"/"tagalog_title") into one
+     * object per language. Untagged fields are shared. Returns null if the
+     * object has no Tagalog fields.
+     */
+    _splitLanguageVariants(obj) {
+        const entries = Object.entries(obj).map(([key, value]) => [key, value, parseLanguageKey(key)]);
+        if (!entries.some(([, value, tagged]) => tagged?.language === 'tl' && typeof value !== 'object')) {
+            return null;
+        }
+        
+        // Build each variant in the original key order so field layout matches
+        const result = {};
+        for (const language of Object.keys(LANGUAGES)) {
+            const overridden = new Set(entries
+                .filter(([, , tagged]) => tagged?.language === language)
+                .map(([, , tagged]) => tagged.baseKey));
+            
+            result[language] = {};
+            for (const [key, value, tagged] of entries) {
+                if (!tagged) {
+                    if (!overridden.has(key)) result[language][key] = value;
+                } else if (tagged.language === language) {
+                    result[language][tagged.baseKey] = value;
+                }
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Push one chunk for a leaf object, or one linked chunk per language when
+     * it is bilingual (same translationKey, different `language`)
+     */
+    _pushLeafChunks(obj, chunkInfo, chunks) {
+        const variants = this._splitLanguageVariants(obj);
+        if (!variants) {
+            chunks.push({ text: this._formatLeafObject(obj), ...chunkInfo });
+            return;
+        }
+        
+        for (const [language, fields] of Object.entries(variants)) {
+            const text = this._formatLeafObject(fields);
+            if (text.length > 2) {
+                chunks.push({ text, ...chunkInfo, language, translationKey: chunkInfo.path });
+            }
+        }
+    }
+    
+    /**
+     * Whether every field of an object's own strings is a heading field
+     */
+    _isHeadingOnly(fields) {
+        return Object.keys(fields).every(key => HEADING_KEYS.has(parseLanguageKey(key)?.baseKey ?? key));
+    }
+
+    /**
+     * Prefix a body's fields with a pending heading, once; a body that has
+     * its own heading fields leaves it for the next one
+     */
+    _attachHeading(fields, heading) {
+        if (!heading || heading.attached) return fields;
+        if (Object.keys(heading.fields).some(key => key in fields)) return fields;
+        heading.attached = true;
+        return { ...heading.fields, ...fields };
+    }
+    
+    /**
+     * NEW HELPER: Heuristic to decide if an object is a "leaf" (a semantic unit)
+     */
+    _isLeafObject(obj) {
+        if (typeof obj !== 'object' || obj === null || Array.isArray(obj)) {
+            return false;
+        }
+
+        let hasStrings = false;
+        
+        for (const value of Object.values(obj)) {
+            if (typeof value === 'object' && value !== null) {
+                // It contains another object, so it's NOT a leaf
+                return false; 
+            }
+            if (Array.isArray(value)) {
+                 // It contains an array, so it's NOT a leaf
+                 // This handles `tools_required: [...]` in atrract-phase
+                return false;
+            }
+            if (typeof value === 'string' && value.length > 0) {
+                hasStrings = true;
+            }
+        }
+        
+        // It's a leaf if it has strings and no nested objects/arrays
+        return hasStrings;
+    }
+
+    /**
+     * REVISED & UNIVERSAL CHUNKING SYSTEM
+     */
+    extractChunks(knowledgeBase = this.knowledgeBase) {
+        const chunks = [...this.extractChunksByFile(knowledgeBase).values()].flat();
+        
+        // Update aggregate chunk count for logging
+        this.aggregateChunksCount = chunks.filter(c => c.isAggregate).length;
+        
+        return chunks;
+    }
+
+    /**
+     * Stable id of a chunk: its path, plus the language for bilingual fields
+     * (window chunks carry their #w suffix in the path)
+     */
+    chunkId(chunk) {
+        return chunk.language ? `${chunk.path}|${chunk.language}` : chunk.path;
+    }
+
+    /**
+     * Chunker version, settings and a fingerprint of the chunk layout (path and
+     * content hash of every chunk, in order). Stored with the embeddings cache
+     * so a cache can be checked against what this chunker produces.
+     */
+    describeChunks(chunks) {
+        const hash = crypto.createHash('sha1');
+        for (const chunk of chunks) {
+            hash.update(`${chunk.path}\0${contentHash(chunk.text)}\n`, 'utf8');
+        }
+        return {
+            version: CHUNKER_VERSION,
+            maxTokens: this.chunkOptions.maxTokens,
+            overlapTokens: this.chunkOptions.overlapTokens,
+            maxChars: Number.isFinite(this.chunkOptions.maxChars) ? this.chunkOptions.maxChars : null,
+            chunks: chunks.length,
+            fingerprint: hash.digest('hex').substring(0, 16)
+        };
+    }
+
+    /**
+     * Chunk each file separately (Map of file key -> chunks, in knowledge base order).
+     * Files listed in `reusable` keep their previously extracted chunks.
+     */
+    extractChunksByFile(knowledgeBase = this.knowledgeBase, reusable = new Map()) {
+        const chunksByFile = new Map();
+        for (const [filePath, fileContent] of Object.entries(knowledgeBase)) {
+            if (reusable.has(filePath)) {
+                chunksByFile.set(filePath, reusable.get(filePath));
+                continue;
+            }
+            
+            const chunks = [];
+            const source = this.getSourceFromPath(filePath); // e.g., 'hr-knowledge'
+            const fileName = this.getFileNameFromPath(filePath); // e.g., 'code-of-conduct'
+            const isDocument = fileContent instanceof TextDocument;
+            const fileContext = (isDocument && fileContent.metadata?.sourceTitle) || this.formatKeyAsTitle(fileName);
+            
+            if (isDocument) {
+                this._extractDocumentUnits(fileContent, filePath, chunks, [fileContext], source, fileName);
+            } else {
+                // Pass fileName into the recursive function
+                this._recursiveExtract(fileContent, filePath, chunks, [fileContext], source, fileName);
+            }
+            chunksByFile.set(filePath, this._splitOversizedChunks(chunks));
+        }
+        return chunksByFile;
+    }
+
+    /**
+     * Replace chunks too long to embed whole with overlapping windows. Windows
+     * share a parentId and keep their offsets so getContext can stitch them back.
+     */
+    _splitOversizedChunks(chunks) {
+        const options = {
+            maxTokens: this.chunkOptions.maxTokens,
+            overlapTokens: this.chunkOptions.overlapTokens,
+            maxChars: this.chunkOptions.maxChars
+        };
+        
+        return chunks.flatMap(chunk => {
+            const windows = splitIntoWindows(chunk.text, options);
+            if (windows.length === 1) return [chunk];
+            
+            const parentId = this.chunkId(chunk);
+            return windows.map((window, windowIndex) => ({
+                ...chunk,
+                text: window.text,
+                path: `${chunk.path}#w${windowIndex}`,
+                parentId,
+                windowIndex,
+                windowCount: windows.length,
+                windowStart: window.start,
+                windowEnd: window.end,
+                ...(chunk.translationKey ? { translationKey: `${chunk.translationKey}#w${windowIndex}` } : {})
+            }));
+        });
+    }
+
+    /**
+     * Chunk a Markdown / text / CSV document: one chunk per unit, in the same
+     * shape the JSON chunker produces
+     */
+    _extractDocumentUnits(document, path, chunks, contextStack, source, fileName) {
+        for (const unit of document.units) {
+            const unitContext = [...contextStack, ...unit.headings];
+            const text = unit.fields ? this._formatLeafObject(unit.fields) : unit.text;
+            if (!text || text.length <= 2) continue;
+            
+            chunks.push({
+                text: text,
+                path: `${path}${unit.ref}`,
+                context: unitContext.join(' - '),
+                parentContext: unitContext.slice(0, -1).join(' - ') || 'General',
+                source: source,
+                fileName: fileName,
+                ...document.metadata
+            });
+        }
+    }
+
+    /**
+     * REVISED: Universal Recursive Chunking Function
+     * (Now includes fileName)
+     */
+    _recursiveExtract(item, path, chunks, contextStack, source, fileName, heading = null) { 
+        
+        // Base Case 1: Item is a simple string
+        if (typeof item === 'string' && item.length > 2) {
+            chunks.push({
+                text: item,
+                path: path,
+                context: contextStack.join(' - '),
+                parentContext: contextStack.slice(0, -1).join(' - ') || 'General',
+                source: source,
+                fileName: fileName 
+            });
+            return;
+        }
+
+        // Base Case 2: Item is an Array
+        if (Array.isArray(item)) {
+            
+            if (item.length > 0) {
+                 const isListOfLeaves = item.every(el => 
+                     (typeof el === 'string' && el.length > 2) || 
+                     this._isLeafObject(el)
+                 );
+                 
+                 if (isListOfLeaves && item.length > 1) { 
+                     // Bilingual lists become one aggregate per language
+                     const isBilingual = item.some(el => typeof el === 'object' && this._splitLanguageVariants(el));
+                     const languages = isBilingual ? Object.keys(LANGUAGES) : [null];
+                     const aggregates = languages.map(language => {
+                         let aggregateText = `${contextStack[contextStack.length - 1] || 'List'}:\n\n`;
+                         
+                         item.forEach((el, idx) => {
+                             if (typeof el === 'string') {
+                                 aggregateText += `${idx + 1}. ${el}\n\n`;
+                             } else {
+                                 const fields = language ? (this._splitLanguageVariants(el)?.[language] || el) : el;
+                                 aggregateText += `${this._formatLeafObject(fields)}\n---\n`;
+                             }
+                         });
+                         return { language, aggregateText };
+                     });
+                     
+                     if (aggregates.every(({ aggregateText }) => aggregateText.length > 20)) {
+                        for (const { language, aggregateText } of aggregates) {
+                            chunks.push({
+                                text: aggregateText,
+                                path: path,
+                                context: contextStack.join(' - '),
+                                parentContext: contextStack.slice(0, -1).join(' - ') || 'General',
+                                source: source,
+                                fileName: fileName,
+                                isAggregate: true,
+                                ...(language ? { language, translationKey: path } : {})
+                            });
+                        }
+                        return; 
+                     }
+                 }
+            }
+
+            item.forEach((element, index) => {
+                // Pass fileName down in recursion
+                this._recursiveExtract(element, `${path}[${index}]`, chunks, contextStack, source, fileName, heading);
+            });
+            
+            return;
+        }
+
+        // Base Case 3: Item is not a processable type
+        if (typeof item !== 'object' || item === null) {
+            return;
+        }
+        
+        // --- Item is an Object ---
+
+        if (this._isLeafObject(item)) {
+            this._pushLeafChunks(this._attachHeading(item, heading), {
+                path: path,
+                context: contextStack.join(' - '),
+                parentContext: contextStack.slice(0, -1).join(' - ') || 'General',
+                source: source,
+                fileName: fileName 
+            }, chunks);
+            return; 
+        }
+
+        // --- Item is a "Structural Object" ---
+        let newContextStack = [...contextStack];
+        const title = this._findContextTitle(item);
+        
+        if (title && title !== newContextStack[newContextStack.length - 1]) {
+            newContextStack.push(this.formatKeyAsTitle(title));
+        }
+        
+        let localStrings = {};
+        for (const [key, value] of Object.entries(item)) {
+            if (typeof value === 'string' && value.length > 0) {
+                 localStrings[key] = value;
+            }
+        }
+        
+        // A title on its own ("Title: Scope" / "Title: Saklaw") is carried
+        // down to the first body below it rather than chunked by itself
+        let childHeading = heading;
+        if (Object.keys(localStrings).length > 0 && this._isHeadingOnly(localStrings)) {
+            childHeading = { fields: localStrings, attached: false };
+        } else if (Object.values(localStrings).join("").length > 10) {
+            this._pushLeafChunks(this._attachHeading(localStrings, heading), {
+                path: path,
+                context: newContextStack.join(' - '),
+                parentContext: newContextStack.slice(0, -1).join(' - ') || 'General',
+                source: source,
+                fileName: fileName 
+            }, chunks);
+        }
+        
+        for (const [key, value] of Object.entries(item)) {
+            if (typeof value === 'object' && value !== null) {
+                let childContextStack = [...newContextStack];
+                // Section numbers ("1.1.2") are always kept so they stay searchable
+                const isSectionNumber = /^\d+(\.\d+)*$/.test(key);
+                if (!title || isSectionNumber) {
+                    const keyTitle = this.formatKeyAsTitle(key);
+                    if (keyTitle !== childContextStack[childContextStack.length - 1]) {
+                         childContextStack.push(keyTitle);
+                    }
+                }
+                // Pass fileName down in recursion
+                this._recursiveExtract(value, `${path}.${key}`, chunks, childContextStack, source, fileName, childHeading);
+            }
+        }
+    }
+
+    // =================================================================
+    // END: UPDATED UNIVERSAL CHUNKING LOGIC
+    // =================================================================
+
+
+    /**
+     * Helper methods
+     */
+    getFileNameFromPath(filePath) {
+        const parts = filePath.split('/');
+        return parts[parts.length - 1] || filePath;
+    }
+
+    getLastPathPart(path) {
+        const parts = path.split('/');
+        return parts[parts.length - 1] || path;
+    }
+
+    getSourceFromPath(path) {
+        const parts = path.split('/');
+        return parts[0] || 'general';
+    }
+
+    formatKeyAsTitle(key) {
+        return key
+            .replace(/_/g, ' ')
+            .replace(/([A-Z])/g, ' $1')
+            .split(' ')
+            .map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
+            .join(' ')
+            .trim();
+    }
+}
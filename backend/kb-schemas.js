@@ -0,0 +1,48 @@
+// backend/kb-schemas.js
+
+/**
+ * Per-folder rules for `npm run kb:lint`. The schema with the longest
+ * matching folder prefix applies to a file.
+ *   required: top-level keys every file needs (an array entry means "one of")
+ *   lists:    dotted path to an array -> fields each object item must fill (checked when present)
+ *   minChunkTokens / maxChunkTokens: override the chunk size limits
+ * Structural checks (empty strings, duplicate keys and section numbers,
+ * orphan Tagalog fields) apply to every file regardless of schema.
+ */
+export const KB_SCHEMAS = [
+    {
+        folder: '',
+        required: []
+    },
+    {
+        folder: 'company-general',
+        required: ['page_metadata'],
+        lists: {
+            'stores': ['name', 'phone']
+        }
+    },
+    {
+        folder: 'hr-knowledge/code-of-conduct',
+        required: ['document_metadata', 'section_1']
+    },
+    {
+        folder: 'hr-knowledge/cdo-norms',
+        required: ['document_metadata']
+    },
+    {
+        folder: 'hr-knowledge/leaders-playbook',
+        required: [['title', 'document_metadata']],
+        lists: {
+            'faqs.questions': ['question', 'answer'],
+            'tools.available_tools': ['tool_name']
+        },
+        // The playbook outline lists topics by name ("ASPIRE", "Interviewing 101")
+        minChunkTokens: 1
+    }
+];
+
+export function getSchemaForFile(fileKey) {
+    return KB_SCHEMAS
+        .filter(schema => schema.folder === '' || fileKey.startsWith(`${schema.folder}/`))
+        .sort((a, b) => b.folder.length - a.folder.length)[0];
+}
@@ -0,0 +1,93 @@
+// backend/kb-watcher.js
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Watches the knowledge-base tree and calls onChange once per burst of edits.
+ * One fs.watch per directory (recursive fs.watch isn't available on every
+ * platform/Node version we deploy to); new subdirectories are picked up after
+ * each burst.
+ */
+export class KnowledgeBaseWatcher {
+    constructor(rootPath, { debounceMs = 750, onChange } = {}) {
+        this.rootPath = rootPath;
+        this.debounceMs = debounceMs;
+        this.onChange = onChange;
+        this.watchers = new Map();
+        this.timer = null;
+    }
+
+    start() {
+        if (!fs.existsSync(this.rootPath)) {
+            console.warn(`⚠️ KB watcher: ${this.rootPath} not found, not watching`);
+            return this;
+        }
+        this.syncWatchers();
+        console.log(`👀 Watching knowledge base for changes (${this.watchers.size} directories)`);
+        return this;
+    }
+
+    stop() {
+        clearTimeout(this.timer);
+        for (const watcher of this.watchers.values()) {
+            watcher.close();
+        }
+        this.watchers.clear();
+    }
+
+    /**
+     * Make sure every existing directory has a watcher and drop watchers for
+     * directories that are gone
+     */
+    syncWatchers() {
+        const directories = new Set();
+        const walk = (dir) => {
+            directories.add(dir);
+            for (const item of fs.readdirSync(dir, { withFileTypes: true })) {
+                if (item.isDirectory()) {
+                    walk(path.join(dir, item.name));
+                }
+            }
+        };
+
+        try {
+            walk(this.rootPath);
+        } catch (error) {
+            console.error('❌ KB watcher: could not scan directories:', error.message);
+            return;
+        }
+
+        for (const [dir, watcher] of this.watchers) {
+            if (!directories.has(dir)) {
+                watcher.close();
+                this.watchers.delete(dir);
+            }
+        }
+
+        for (const dir of directories) {
+            if (this.watchers.has(dir)) continue;
+            try {
+                const watcher = fs.watch(dir, () => this.schedule());
+                watcher.on('error', () => {
+                    watcher.close();
+                    this.watchers.delete(dir);
+                });
+                this.watchers.set(dir, watcher);
+            } catch (error) {
+                console.error(`❌ KB watcher: could not watch ${dir}:`, error.message);
+            }
+        }
+    }
+
+    schedule() {
+        clearTimeout(this.timer);
+        this.timer = setTimeout(async () => {
+            this.syncWatchers();
+            try {
+                await this.onChange?.();
+            } catch (error) {
+                console.error('❌ KB watcher: reload failed:', error);
+            }
+        }, this.debounceMs);
+    }
+}
@@ -0,0 +1,59 @@
+// backend/language.js
+
+export const LANGUAGES = {
+    en: { name: 'English', keys: ['english'] },
+    tl: { name: 'Tagalog (Filipino)', keys: ['tagalog', 'filipino'] }
+};
+
+// High-frequency Tagalog function words and question words that are not also
+// English words, so a couple of hits is a reliable signal (Taglish included)
+const TAGALOG_MARKERS = new Set([
+    'ang', 'ng', 'mga', 'ako', 'ikaw', 'siya', 'kami', 'tayo', 'sila', 'namin', 'natin', 'nila',
+    'niya', 'ano', 'paano', 'saan', 'sino', 'bakit', 'kailan', 'ilan', 'magkano', 'alin', 'hindi',
+    'mayroon', 'wala', 'nang', 'yung', 'iyong', 'kapag', 'pwede', 'puwede', 'dapat', 'rin',
+    'naman', 'ito', 'iyan', 'iyon', 'kasi', 'pero', 'ngayon', 'gusto', 'kailangan', 'empleyado',
+    'kumpanya', 'salamat'
+]);
+
+// Common Tagalog particles that are also English words or abbreviations
+// ("May I ask?", "PO number"); they only count next to a word from the set above
+const AMBIGUOUS_MARKERS = new Set(['may', 'na', 'sa', 'po', 'ko', 'mo', 'ba', 'ay', 'din', 'lang', 'para', 'kung', 'pag']);
+
+/**
+ * Guess whether text is English ('en') or Tagalog ('tl')
+ */
+export function detectLanguage(text) {
+    const words = String(text || '').toLowerCase().match(/[a-zñ']+/g) || [];
+    if (words.length === 0) return 'en';
+
+    const hits = words.filter(word => TAGALOG_MARKERS.has(word)).length;
+    if (hits === 0) return 'en';
+    const ambiguousHits = words.filter(word => AMBIGUOUS_MARKERS.has(word)).length;
+    return hits >= 2 || (hits + ambiguousHits) / words.length >= 0.25 ? 'tl' : 'en';
+}
+
+/**
+ * Languages the user explicitly asks to see, e.g. "what's the Tagalog version?"
+ */
+export function detectRequestedLanguages(text) {
+    const lower = String(text || '').toLowerCase();
+    return Object.entries(LANGUAGES)
+        .filter(([, language]) => language.keys.some(key => new RegExp(`\\b(in|sa)\\s+${key}\\b|\\b${key}\\s+(version|text|translation|wording|quote)\\b`).test(lower)))
+        .map(([code]) => code);
+}
+
+/**
+ * Map a language-tagged key to { language, baseKey }:
+ *   "english" -> { en, "" }, "provision_tagalog" -> { tl, "provision" },
+ *   "tagalog_title" -> { tl, "title" }. Returns null for untagged keys.
+ */
+export function parseLanguageKey(key) {
+    for (const [code, language] of Object.entries(LANGUAGES)) {
+        for (const name of language.keys) {
+            if (key === name) return { language: code, baseKey: '' };
+            if (key.endsWith(`_${name}`)) return { language: code, baseKey: key.slice(0, -(name.length + 1)) };
+            if (key.startsWith(`${name}_`)) return { language: code, baseKey: key.slice(name.length + 1) };
+        }
+    }
+    return null;
+}
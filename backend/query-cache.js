@@ -0,0 +1,94 @@
+// backend/query-cache.js
+
+/**
+ * Bounded map with least-recently-used eviction and a per-entry time to
+ * live. Counts hits, misses and evictions for status reporting.
+ */
+export class LRUCache {
+    constructor(options = {}) {
+        this.maxEntries = options.maxEntries ?? 500;
+        this.ttlMs = options.ttlMs ?? 10 * 60 * 1000;
+        this.entries = new Map();
+        this.hits = 0;
+        this.misses = 0;
+        this.evictions = 0;
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry || Date.now() - entry.storedAt > this.ttlMs) {
+            if (entry) this.entries.delete(key);
+            this.misses++;
+            return undefined;
+        }
+        // Re-insert so Map order stays least -> most recently used
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        this.hits++;
+        return entry.value;
+    }
+
+    set(key, value) {
+        if (this.maxEntries <= 0) return;
+        this.entries.delete(key);
+        this.entries.set(key, { value, storedAt: Date.now() });
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+            this.evictions++;
+        }
+    }
+
+    clear() {
+        this.entries.clear();
+    }
+
+    stats() {
+        const lookups = this.hits + this.misses;
+        return {
+            entries: this.entries.size,
+            maxEntries: this.maxEntries,
+            ttlMs: this.ttlMs,
+            hits: this.hits,
+            misses: this.misses,
+            evictions: this.evictions,
+            hitRate: lookups === 0 ? null : Number((this.hits / lookups).toFixed(3))
+        };
+    }
+}
+
+/**
+ * Question text as a cache key: case, spacing and trailing punctuation
+ * don't change what is retrieved
+ */
+export function normalizeQuestion(question) {
+    return String(question || '')
+        .normalize('NFKC')
+        .toLowerCase()
+        .replace(/\s+/g, ' ')
+        .replace(/[\s?!.]+$/, '')
+        .trim();
+}
+
+// JSON with object keys sorted, so { a, b } and { b, a } give the same key
+export function stableStringify(value) {
+    if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value) ?? 'null';
+}
+
+/**
+ * Cache key for a search: the normalized question plus every option that
+ * changes the results (topK, filters, language, reranker, tuning overrides)
+ */
+export function searchCacheKey(question, topK, options = {}) {
+    return `${normalizeQuestion(question)}\u0000${stableStringify({ topK, ...options })}`;
+}
@@ -0,0 +1,153 @@
+// backend/query-rewriter.js
+import { tokenize } from './bm25-index.js';
+import { generateContent } from './gemini-client.js';
+
+// Words that point back at an earlier turn or carry no topic of their own
+// ("the second one", "tell me more", "ano iyon?"); a question made only of
+// these (and stop words) can't be searched without the conversation
+const REFERENCE_WORDS = new Set([
+    'he', 'she', 'him', 'her', 'them', 'one', 'ones', 'same', 'above', 'previous', 'last', 'other',
+    'else', 'more', 'again', 'so', 'then', 'why', 'ok', 'okay', 'really', 'also', 'and', 'next',
+    'ito', 'iyan', 'iyon', 'yan', 'yun', 'yon', 'siya', 'sila', 'nito', 'niyan', 'noon', 'ano',
+    'bakit', 'paano', 'naman', 'po', 'ba', 'ang', 'ng', 'sa', 'mga', 'yung', 'pa', 'eh', 'pati'
+]);
+
+// "What about the Sampaloc branch?" asks the previous question about something new
+const FOLLOW_UP_OPENER = /^\s*(what about|how about|paano naman|eh (?:ang|sa|yung))\b/i;
+
+// "number 2", "#3", "2nd" name an item of the previous answer's list
+const POSITION_REFERENCE = /\b(?:(?:number|no\.?)\s*\d+|\d+(?:st|nd|rd|th))\b|#\s*\d+/gi;
+
+const ORDINALS = [
+    ['first', '1st', 'una', 'unang'],
+    ['second', '2nd', 'ikalawa', 'pangalawa'],
+    ['third', '3rd', 'ikatlo', 'pangatlo'],
+    ['fourth', '4th', 'ikaapat', 'pang-apat'],
+    ['fifth', '5th', 'ikalima', 'panlima'],
+    ['sixth', '6th', 'ikaanim', 'pang-anim'],
+    ['seventh', '7th', 'ikapito', 'pampito'],
+    ['eighth', '8th', 'ikawalo', 'pangwalo'],
+    ['ninth', '9th', 'ikasiyam', 'pansiyam'],
+    ['tenth', '10th', 'ikasampu', 'pansampu']
+];
+
+/**
+ * Conversation history entries as { question, answer }; the frontend sends
+ * the last few exchanges in that shape
+ */
+function normalizeHistory(history) {
+    return (Array.isArray(history) ? history : [])
+        .filter(turn => turn && typeof turn === 'object')
+        .map(turn => ({ question: String(turn.question || ''), answer: String(turn.answer || '') }))
+        .filter(turn => turn.question || turn.answer);
+}
+
+/**
+ * Terms of a question that name a topic, without references to earlier turns
+ */
+function contentTerms(question) {
+    const ordinals = new Set(ORDINALS.flat());
+    return tokenize(question.replace(POSITION_REFERENCE, ' '))
+        .filter(term => !REFERENCE_WORDS.has(term) && !ordinals.has(term));
+}
+
+/**
+ * Whether a question leans on earlier turns: it has no topic of its own
+ * ("what does the second one mean?", "tell me more") or asks "what about
+ * ...?". A question that names its topic stands alone even when it contains
+ * "this" or "first" ("What is the penalty for the first offense?").
+ */
+export function needsRewrite(question, history) {
+    if (normalizeHistory(history).length === 0) return false;
+    return FOLLOW_UP_OPENER.test(question) || contentTerms(question).length === 0;
+}
+
+/**
+ * Position (1-based) named by "the second one", "number 2", "ikalawa", ...
+ */
+function findOrdinal(question) {
+    const lower = question.toLowerCase();
+    const numbered = lower.match(/\b(?:number|no\.?|#)\s*(\d+)\b/);
+    if (numbered) return parseInt(numbered[1]);
+
+    const index = ORDINALS.findIndex(words => words.some(word => new RegExp(`\\b${word}\\b`).test(lower)));
+    return index === -1 ? null : index + 1;
+}
+
+/**
+ * The Nth item of the first numbered or bulleted list in an answer
+ */
+function findListItem(answer, position) {
+    const items = answer
+        .split(/\r?\n/)
+        .map(line => line.match(/^\s*(?:\d+[.)]|[-*•])\s+(.+)$/))
+        .filter(Boolean)
+        .map(match => match[1].replace(/[*_`#]/g, '').trim());
+    return items[position - 1] || null;
+}
+
+/**
+ * Offline rewrite of a question with no topic of its own: resolve "the Nth
+ * one" against the last answer's list, otherwise carry over the previous
+ * question's key terms. Questions that name their topic are left as they are.
+ */
+export function rewriteHeuristically(question, history) {
+    const turns = normalizeHistory(history);
+    const last = turns[turns.length - 1];
+    if (!last || contentTerms(question).length > 0) return question;
+
+    const position = findOrdinal(question);
+    const item = position ? findListItem(last.answer, position) : null;
+    if (item) {
+        return `${question} ${item}`;
+    }
+
+    const carried = [...new Set(tokenize(last.question))];
+    return carried.length > 0 ? `${question} ${carried.join(' ')}` : question;
+}
+
+/**
+ * Ask Gemini for a standalone search query; throws on API failure
+ */
+export async function rewriteWithLLM(question, history, apiKey = process.env.GEMINI_API_KEY) {
+    const transcript = normalizeHistory(history)
+        .map(turn => `User: ${turn.question}\nAssistant: ${turn.answer.substring(0, 600)}`)
+        .join('\n\n');
+    const prompt = `Rewrite the follow-up question as a standalone search query that can be understood without the conversation. Keep the user's language, names, numbers and section references. Reply with the query only.
+
+CONVERSATION:
+${transcript}
+
+FOLLOW-UP QUESTION: ${question}
+
+STANDALONE QUERY:`;
+
+    const { ok, status, text } = await generateContent(prompt, { temperature: 0, maxOutputTokens: 100 }, apiKey);
+    if (!ok) {
+        throw new Error(`Rewrite API error: ${status}`);
+    }
+    const query = text.split(/\r?\n/).map(line => line.trim()).find(Boolean)?.replace(/^["']|["']$/g, '');
+    if (!query) {
+        throw new Error("Rewrite API returned no query");
+    }
+    return query;
+}
+
+/**
+ * Turn a follow-up into a standalone retrieval query.
+ * Returns { original, query, method } where method is 'none', 'llm' or 'heuristic'.
+ */
+export async function condenseQuestion(question, history, { useLLM = Boolean(process.env.GEMINI_API_KEY) } = {}) {
+    if (!needsRewrite(question, history)) {
+        return { original: question, query: question, method: 'none' };
+    }
+
+    if (useLLM) {
+        try {
+            return { original: question, query: await rewriteWithLLM(question, history), method: 'llm' };
+        } catch (error) {
+            console.warn(`⚠️ Query rewrite with Gemini failed, using heuristic: ${error.message}`);
+        }
+    }
+    return { original: question, query: rewriteHeuristically(question, history), method: 'heuristic' };
+}
@@ -0,0 +1,1429 @@
+// backend/rag-system.js
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createEmbeddingProvider } from './embedding-providers.js';
+import { BM25Index, tokenize } from './bm25-index.js';
+import { HNSWIndex, normalizeVector, dotProduct } from './vector-index.js';
+import { contentHash } from './cache-manager.js';
+import { envNumber } from './env.js';
+import { TextDocument, toFileKey } from './document-loaders.js';
+import { LANGUAGES, detectLanguage, detectRequestedLanguages } from './language.js';
+import { mergeWindows, estimateTokens } from './chunk-splitter.js';
+import { KnowledgeBaseChunker } from './kb-chunker.js';
+import { createReranker } from './rerankers.js';
+import { matchesFilters } from './search-filters.js';
+import { LRUCache, normalizeQuestion, searchCacheKey } from './query-cache.js';
+import { EMBEDDINGS_CACHE_VERSION, CacheCompatibilityError, detectCacheVersion, migrateEmbeddingsCache, checkCacheProvider, diffChunkIds, encodeVectors } from './embeddings-cache.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Hybrid retrieval tuning: vector and BM25 rankings are merged with
+// weighted reciprocal-rank fusion (score = sum of weight / (k + rank)).
+// Chunks containing a rare query term (section number, store name, acronym)
+// get a third "exact match" ranking so identifiers win over fuzzy matches.
+export const RETRIEVAL_CONFIG = {
+    rrfK: envNumber('RAG_RRF_K', 60),
+    vectorWeight: envNumber('RAG_VECTOR_WEIGHT', 1.0),
+    lexicalWeight: envNumber('RAG_LEXICAL_WEIGHT', 1.0),
+    candidatePool: 50,
+    exactMatchWeight: envNumber('RAG_EXACT_MATCH_WEIGHT', 2.0),
+    rareTermMaxDf: 3,
+    minSimilarity: 0.1,
+    aggregateBoost: 1.1,
+    // HNSW approximate nearest-neighbour index (set exact: true on a search to brute-force)
+    hnswM: 16,
+    hnswEfConstruction: 100,
+    hnswEfSearch: parseInt(process.env.RAG_HNSW_EF_SEARCH) || 64,
+    // Optional second stage (RAG_RERANKER=gemini|lexical): rescore the top N fused
+    // results and drop those under the minimum rerank score
+    rerankTopN: parseInt(process.env.RAG_RERANK_TOP_N) || 20,
+    rerankMinScore: envNumber('RAG_RERANK_MIN_SCORE', 0),
+    // Maximal-marginal-relevance selection: lambda 1 = pure relevance, lower
+    // values trade relevance for variety. maxPerFile 0 = no per-file quota.
+    mmr: process.env.RAG_MMR !== 'false',
+    mmrLambda: envNumber('RAG_MMR_LAMBDA', 0.7),
+    maxPerFile: Math.trunc(envNumber('RAG_MAX_PER_FILE', 0)),
+    // Prompt context budget (estimated tokens)
+    contextTokenBudget: parseInt(process.env.RAG_CONTEXT_TOKEN_BUDGET) || 6000,
+    // Query embeddings and search results of repeated questions are kept (LRU,
+    // per-entry TTL) until the index changes; a size of 0 turns caching off
+    queryCacheSize: process.env.RAG_QUERY_CACHE_SIZE !== undefined ? parseInt(process.env.RAG_QUERY_CACHE_SIZE) || 0 : 500,
+    queryCacheTtlMs: parseInt(process.env.RAG_QUERY_CACHE_TTL_MS) || 10 * 60 * 1000
+};
+
+// Per-request fusion overrides (request field -> RETRIEVAL_CONFIG key)
+const FUSION_OPTIONS = {
+    vector_weight: 'vectorWeight',
+    lexical_weight: 'lexicalWeight',
+    rrf_k: 'rrfK',
+    exact_match_weight: 'exactMatchWeight'
+};
+
+export class FusionError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'FusionError';
+    }
+}
+
+/**
+ * Validate a request's fusion tuning, e.g. { rrf_k: 30, lexical_weight: 0 }.
+ * Returns search options; throws FusionError on unknown fields or values
+ * that aren't finite, non-negative numbers.
+ */
+export function parseFusionOptions(raw) {
+    if (raw === undefined || raw === null) return {};
+    if (typeof raw !== 'object' || Array.isArray(raw)) {
+        throw new FusionError('fusion must be an object');
+    }
+
+    const options = {};
+    for (const [field, value] of Object.entries(raw)) {
+        if (!FUSION_OPTIONS[field]) {
+            throw new FusionError(`Unknown fusion field "${field}" (use ${Object.keys(FUSION_OPTIONS).join(', ')})`);
+        }
+        const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+        if (typeof number !== 'number' || !Number.isFinite(number) || number < 0) {
+            throw new FusionError(`fusion.${field} must be a non-negative number`);
+        }
+        options[FUSION_OPTIONS[field]] = number;
+    }
+    return options;
+}
+
+export class DiversityError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'DiversityError';
+    }
+}
+
+/**
+ * Validate a request's diversity tuning, e.g. { mmr: true, lambda: 0.5, max_per_file: 2 }.
+ * Returns search options; throws DiversityError on unknown fields, a
+ * non-boolean mmr, a lambda outside 0..1 or a max_per_file that isn't a
+ * non-negative integer.
+ */
+export function parseDiversityOptions(raw) {
+    if (raw === undefined || raw === null) return {};
+    if (typeof raw !== 'object' || Array.isArray(raw)) {
+        throw new DiversityError('diversity must be an object');
+    }
+
+    const options = {};
+    for (const [field, value] of Object.entries(raw)) {
+        const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+        if (field === 'mmr') {
+            if (typeof value !== 'boolean') throw new DiversityError('diversity.mmr must be true or false');
+            options.mmr = value;
+        } else if (field === 'lambda') {
+            if (typeof number !== 'number' || !(number >= 0 && number <= 1)) {
+                throw new DiversityError('diversity.lambda must be a number between 0 and 1');
+            }
+            options.mmrLambda = number;
+        } else if (field === 'max_per_file') {
+            if (!Number.isInteger(number) || number < 0) {
+                throw new DiversityError('diversity.max_per_file must be a non-negative integer');
+            }
+            options.maxPerFile = number;
+        } else {
+            throw new DiversityError(`Unknown diversity field "${field}" (use mmr, lambda, max_per_file)`);
+        }
+    }
+    return options;
+}
+
+export class TokenBudgetError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TokenBudgetError';
+    }
+}
+
+/**
+ * Validate a request's context token budget. Returns undefined when it's
+ * absent (use RETRIEVAL_CONFIG.contextTokenBudget); throws TokenBudgetError
+ * unless it's a positive integer.
+ */
+export function parseTokenBudget(raw) {
+    if (raw === undefined || raw === null) return undefined;
+    const number = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+    if (!Number.isInteger(number) || number <= 0) {
+        throw new TokenBudgetError('token_budget must be a positive integer');
+    }
+    return number;
+}
+
+/**
+ * Universal Multi-Folder Semantic RAG System
+ * Options (all optional, for scripts): embeddingProvider, reranker,
+ * knowledgeBasePath, embeddingsCachePath / vectorIndexPath (null = keep in
+ * memory only) and quiet (no progress logging).
+ */
+export class MultiFolderSemanticRAG extends KnowledgeBaseChunker {
+    constructor(options = {}) {
+        const embeddingProvider = options.embeddingProvider || createEmbeddingProvider();
+        super({
+            knowledgeBasePath: options.knowledgeBasePath || path.join(__dirname, 'knowledge-base'),
+            maxChars: embeddingProvider.maxChars,
+            quiet: options.quiet
+        });
+        this.knowledgeBase = {};
+        // Connector content (see connectors.js), indexed alongside the files
+        this.externalDocuments = {};
+        this.chunks = [];
+        this.embeddings = [];
+        this.chunksByFile = new Map();
+        this.vectorStore = new Map();
+        this.embeddingStats = null;
+        // Schema, migration and incompatibility reason of the last cache load
+        this.cacheStatus = { schemaVersion: null, migratedFrom: null, incompatibleReason: null, changes: null };
+        this.kbSignature = null;
+        // Hash of the external documents in the current index, per knowledge base object
+        this.indexedExternalSignature = { knowledgeBase: null, signature: null };
+        this.lastReload = null;
+        this.reloadInProgress = false;
+        this.reloadPending = false;
+        this.reloadFinished = null;
+        this.lexicalIndex = new BM25Index();
+        this.vectorIndex = null;
+        this.translationLookups = new WeakMap();
+        // Cleared whenever the index is rebuilt; indexGeneration lets a search
+        // that started before a rebuild skip caching its (stale) results
+        const queryCacheOptions = { maxEntries: RETRIEVAL_CONFIG.queryCacheSize, ttlMs: RETRIEVAL_CONFIG.queryCacheTtlMs };
+        this.queryEmbeddingCache = new LRUCache(queryCacheOptions);
+        this.searchCache = new LRUCache(queryCacheOptions);
+        this.indexGeneration = 0;
+        this.isInitialized = false;
+        this.embeddingsCachePath = options.embeddingsCachePath !== undefined ? options.embeddingsCachePath : path.join(__dirname, 'embeddings-cache.json');
+        // Binary vector file written next to the cache manifest: float32 or int8
+        this.vectorEncoding = options.vectorEncoding || process.env.EMBEDDINGS_ENCODING || 'float32';
+        this.vectorIndexPath = options.vectorIndexPath !== undefined ? options.vectorIndexPath : path.join(__dirname, 'vector-index.json');
+        this.embeddingProvider = embeddingProvider;
+        this.reranker = options.reranker !== undefined ? options.reranker : createReranker();
+        this.log("🔧 Initializing Universal Multi-Folder Semantic RAG System...");
+        this.log(`🧠 Embedding provider: ${this.embeddingProvider.name} (${this.embeddingProvider.model})`);
+        this.log(`🔁 Reranker: ${this.reranker ? `${this.reranker.name} (${this.reranker.model})` : 'off'}`);
+    }
+    
+    /**
+     * The knowledge base folder plus the external documents
+     */
+    loadKnowledgeBase() {
+        return { ...super.loadKnowledgeBase(), ...this.externalDocuments };
+    }
+
+    /**
+     * Replace one connector's documents. The index picks them up on the next
+     * reloadChangedFiles().
+     */
+    setExternalDocuments(connectorName, documents) {
+        const kept = Object.entries(this.externalDocuments)
+            .filter(([, document]) => document.metadata?.connector !== connectorName);
+        this.externalDocuments = { ...Object.fromEntries(kept), ...documents };
+    }
+
+    /**
+     * File keys of external documents that were added, replaced or removed
+     * since the index was built
+     */
+    diffExternalDocuments() {
+        const changed = Object.keys(this.externalDocuments)
+            .filter(fileKey => this.knowledgeBase[fileKey] !== this.externalDocuments[fileKey]);
+        const removed = Object.entries(this.knowledgeBase)
+            .filter(([fileKey, content]) => content instanceof TextDocument && content.metadata?.connector && !(fileKey in this.externalDocuments))
+            .map(([fileKey]) => fileKey);
+        return [...changed, ...removed];
+    }
+
+    /**
+     * Hash of the connector content the index was built from. Unlike the
+     * connectors' own fingerprints it only changes once a reload has
+     * swapped the new documents in.
+     */
+    externalSignature() {
+        if (this.indexedExternalSignature.knowledgeBase !== this.knowledgeBase) {
+            const indexed = Object.entries(this.knowledgeBase)
+                .filter(([, content]) => content instanceof TextDocument && content.metadata?.connector)
+                .sort(([a], [b]) => a.localeCompare(b))
+                .map(([fileKey, document]) => [fileKey, document.units]);
+            this.indexedExternalSignature = {
+                knowledgeBase: this.knowledgeBase,
+                signature: indexed.length > 0 ? contentHash(JSON.stringify(indexed)) : null
+            };
+        }
+        return this.indexedExternalSignature.signature;
+    }
+
+    /**
+     * Get folder statistics for debugging
+     */
+    getFolderStats() {
+        const stats = {
+            totalFiles: 0,
+            categories: {},
+            totalChunks: this.chunks.length,
+            aggregateChunks: this.chunks.filter(c => c.isAggregate).length
+        };
+        
+        for (const filePath of Object.keys(this.knowledgeBase)) {
+            stats.totalFiles++;
+            const folderInfo = this.extractFolderInfo(filePath);
+            
+            if (folderInfo.category) {
+                if (!stats.categories[folderInfo.category]) {
+                    stats.categories[folderInfo.category] = {
+                        files: 0,
+                        subcategories: {}
+                    };
+                }
+                stats.categories[folderInfo.category].files++;
+                
+                if (folderInfo.subcategory) {
+                    if (!stats.categories[folderInfo.category].subcategories[folderInfo.subcategory]) {
+                        stats.categories[folderInfo.category].subcategories[folderInfo.subcategory] = 0;
+                    }
+                    stats.categories[folderInfo.category].subcategories[folderInfo.subcategory]++;
+                }
+            }
+        }
+        
+        return stats;
+    }
+    
+    /**
+     * Values the search filters accept (see search-filters.js), from the loaded files
+     */
+    getFilterValues() {
+        const sources = new Set();
+        const folders = new Set();
+        const files = new Set();
+        for (const filePath of Object.keys(this.knowledgeBase)) {
+            sources.add(this.getSourceFromPath(filePath));
+            files.add(this.getFileNameFromPath(filePath));
+            const parts = filePath.split('/');
+            for (let i = 1; i < parts.length; i++) {
+                folders.add(parts.slice(0, i).join('/'));
+            }
+        }
+        return {
+            sources: [...sources].sort(),
+            folders: [...folders].sort(),
+            files: [...files].sort()
+        };
+    }
+    
+    /**
+     * Extract folder information from file path
+     */
+    extractFolderInfo(filePath) {
+        const parts = filePath.split('/');
+        
+        // For structure: hr-knowledge/leaders-playbook/filename
+        if (parts.length >= 3) {
+            return {
+                category: parts[0],
+                subcategory: parts[1],
+                filename: parts[2]
+            };
+        }
+        // For structure: hr-knowledge/filename
+        else if (parts.length === 2) {
+            return {
+                category: parts[0],
+                filename: parts[1]
+            };
+        }
+        // For files in root
+        else {
+            return {
+                filename: parts[0]
+            };
+        }
+    }
+    
+    /**
+     * Build the BM25 index over chunk text plus its context breadcrumb
+     */
+    buildLexicalIndex(chunks = this.chunks) {
+        const index = new BM25Index().build(
+            chunks.map(chunk => `${chunk.context}\n${chunk.text}`)
+        );
+        this.log(`🔤 Lexical index built: ${index.postings.size} terms`);
+        return index;
+    }
+    
+    /**
+     * Load the HNSW index saved next to the embeddings cache, or rebuild it
+     * if it is missing or was built from different vectors. Returns null when
+     * there are no usable embeddings (search then falls back to a linear scan).
+     */
+    buildVectorIndex(embeddings = this.embeddings) {
+        try {
+            const options = {
+                M: RETRIEVAL_CONFIG.hnswM,
+                efConstruction: RETRIEVAL_CONFIG.hnswEfConstruction,
+                efSearch: RETRIEVAL_CONFIG.hnswEfSearch
+            };
+            
+            if (this.vectorIndexPath && fs.existsSync(this.vectorIndexPath)) {
+                const saved = JSON.parse(fs.readFileSync(this.vectorIndexPath, 'utf8'));
+                const index = HNSWIndex.fromJSON(saved, embeddings, options);
+                if (index) {
+                    this.log(`✅ Vector index loaded from disk (${index.size} vectors)`);
+                    return index;
+                }
+                this.log("🔄 Saved vector index is stale, rebuilding...");
+            }
+            
+            const startTime = Date.now();
+            const index = new HNSWIndex(options).build(embeddings);
+            if (index.size === 0) {
+                console.warn("⚠️ No usable embeddings - vector index disabled");
+                return null;
+            }
+            this.log(`✅ Vector index built: ${index.size} vectors in ${Date.now() - startTime}ms`);
+            
+            if (this.vectorIndexPath) {
+                fs.writeFileSync(this.vectorIndexPath, JSON.stringify(index.toJSON()));
+                this.log("💾 Vector index saved");
+            }
+            return index;
+        } catch (error) {
+            console.warn("⚠️ Could not build vector index, using exact search:", error.message);
+            return null;
+        }
+    }
+    
+    async initializeRAG(cacheManager) {
+        try {
+            this.log("🔄 Initializing RAG system...");
+            
+            this.knowledgeBase = this.loadKnowledgeBase();
+            
+            if (Object.keys(this.knowledgeBase).length === 0) {
+                console.warn("⚠️ Knowledge base is empty - creating sample structure");
+                // Create minimal knowledge base structure to prevent crashes
+                this.knowledgeBase = { 'sample': { 'welcome': 'Welcome to CDO Foodsphere' } };
+            }
+            
+            this.chunksByFile = this.extractChunksByFile(this.knowledgeBase);
+            this.chunks = [...this.chunksByFile.values()].flat();
+            this.log(`📚 Extracted ${this.chunks.length} text chunks`);
+            
+            this.lexicalIndex = this.buildLexicalIndex();
+            this.kbSignature = cacheManager.generateCacheSignature();
+            
+            // ===========================================================
+            // Incremental cache handling: vectors are keyed by chunk content
+            // hash, so only new or edited chunks ever need embedding
+            // ===========================================================
+            
+            const isProduction = process.env.NODE_ENV === 'production';
+            const cacheLoaded = await this.loadEmbeddingsCache();
+            const { embeddings, missing } = this.alignEmbeddings();
+            this.embeddings = embeddings;
+            
+            if (cacheLoaded && missing.length === 0) {
+                this.embeddingStats = { reused: this.chunks.length, recomputed: 0, failed: 0, pruned: 0, updatedAt: new Date().toISOString() };
+                this.vectorIndex = this.buildVectorIndex();
+                this.log("✅ RAG system initialized with cached embeddings");
+                this.isInitialized = true;
+                
+                // Rewrite an older cache format once, so the next start skips the migration
+                if (!isProduction && this.cacheStatus.migratedFrom !== null) {
+                    await this.saveEmbeddingsCache();
+                }
+                
+                // Every chunk is covered; just record the current KB signature
+                if (!isProduction && !cacheManager.isCacheValid()) {
+                    const cacheSignature = cacheManager.generateCacheSignature();
+                    if (cacheSignature) {
+                        cacheManager.saveCacheInfo(cacheSignature, { embeddingStats: this.embeddingStats });
+                    }
+                }
+            } else if (isProduction && !this.embeddingProvider.isLocal) {
+                // In production, serve what the cache covers; uncovered chunks are lexical-only
+                console.warn(`⚠️ Production: ${missing.length}/${this.chunks.length} chunks have no cached embedding - lexical search only for those`);
+                this.embeddings = this.embeddings.map(e => e || []);
+                this.embeddingStats = { reused: this.chunks.length - missing.length, recomputed: 0, failed: missing.length, pruned: 0, updatedAt: new Date().toISOString() };
+                this.vectorIndex = this.buildVectorIndex();
+                this.isInitialized = true;
+            } else {
+                // In local development (or with the offline embedder), embed what is missing
+                this.log(`🔄 ${missing.length}/${this.chunks.length} chunks need embeddings...`);
+                await this.regenerateEmbeddings(cacheManager);
+            }
+            
+        } catch (error) {
+            console.error("❌ RAG initialization failed:", error);
+            // Set to initialized anyway to prevent complete failure
+            this.isInitialized = true;
+            this.embeddings = [];
+        }
+        this.clearQueryCaches();
+    }
+
+    /**
+     * Load, chunk and embed the whole knowledge base without the cache-info
+     * bookkeeping (for scripts such as the retrieval evaluation). Reuses the
+     * embeddings cache when one is configured.
+     */
+    async initializeInMemory() {
+        this.knowledgeBase = this.loadKnowledgeBase();
+        this.chunksByFile = this.extractChunksByFile(this.knowledgeBase);
+        this.chunks = [...this.chunksByFile.values()].flat();
+        this.lexicalIndex = this.buildLexicalIndex();
+
+        await this.loadEmbeddingsCache();
+        const { embeddings, missing } = this.alignEmbeddings();
+        const failed = await this.embedMissing(this.chunks, embeddings, missing);
+        this.embeddings = embeddings;
+        this.embeddingStats = {
+            reused: this.chunks.length - missing.length,
+            recomputed: missing.length - failed,
+            failed,
+            pruned: 0,
+            updatedAt: new Date().toISOString()
+        };
+        if (missing.length > 0) await this.saveEmbeddingsCache();
+
+        this.vectorIndex = this.buildVectorIndex();
+        this.clearQueryCaches();
+        this.isInitialized = true;
+        this.log(`✅ RAG system ready in memory: ${this.chunks.length} chunks`);
+    }
+
+    /**
+     * Content hash used as the cache key for a chunk's vector
+     */
+    chunkKey(chunk) {
+        return contentHash(chunk.text);
+    }
+
+    /**
+     * Line up the hash-keyed vector store with a chunk list (one embedding per
+     * chunk, null where none is cached). Returns { embeddings, missing }.
+     */
+    alignEmbeddings(chunks = this.chunks) {
+        const missing = [];
+        const embeddings = chunks.map((chunk, index) => {
+            const vector = this.vectorStore.get(this.chunkKey(chunk));
+            if (!vector) {
+                missing.push(index);
+                return null;
+            }
+            return vector;
+        });
+        return { embeddings, missing };
+    }
+
+    /**
+     * Embed the chunks at the `missing` positions into `embeddings` (and the
+     * vector store). Failed chunks get an empty vector. Returns the failure count.
+     */
+    async embedMissing(chunks, embeddings, missing, vectorStore = this.vectorStore) {
+        if (!this.embeddingProvider.isLocal && missing.length > 0) {
+            this.log("⏳ This may take a few minutes...");
+        }
+
+        let failed = 0;
+        const batchSize = this.embeddingProvider.isLocal ? 50 : 5;
+        for (let i = 0; i < missing.length; i += batchSize) {
+            const batch = missing.slice(i, i + batchSize);
+            const batchEmbeddings = await Promise.all(
+                batch.map(index => this.getEmbedding(chunks[index].text).catch(error => {
+                    console.error(`❌ Embedding failed for chunk ${index} (${chunks[index].context}):`, error.message);
+                    return null;
+                }))
+            );
+            
+            batchEmbeddings.forEach((vector, j) => {
+                const index = batch[j];
+                if (vector) {
+                    // Stored unit-length, so cosine similarity is a dot product
+                    const normalized = normalizeVector(vector);
+                    vectorStore.set(this.chunkKey(chunks[index]), normalized);
+                    embeddings[index] = normalized;
+                } else {
+                    failed++;
+                    embeddings[index] = [];
+                }
+            });
+            
+            const progress = Math.min(i + batchSize, missing.length);
+            const percentage = ((progress / missing.length) * 100).toFixed(1);
+            this.log(`📊 Progress: ${progress}/${missing.length} (${percentage}%)`);
+            
+            if (!this.embeddingProvider.isLocal && i + batchSize < missing.length) {
+                await new Promise(resolve => setTimeout(resolve, 200));
+            }
+        }
+        return failed;
+    }
+
+    /**
+     * Drop vectors whose chunk text no longer exists; returns how many were removed
+     */
+    pruneVectorStore(chunks = this.chunks) {
+        const liveKeys = new Set(chunks.map(chunk => this.chunkKey(chunk)));
+        let pruned = 0;
+        for (const key of [...this.vectorStore.keys()]) {
+            if (!liveKeys.has(key)) {
+                this.vectorStore.delete(key);
+                pruned++;
+            }
+        }
+        return pruned;
+    }
+
+    /**
+     * Embed new or changed chunks, reuse everything else and prune vectors
+     * whose chunk no longer exists (startup only; a running system rebuilds
+     * with rebuildIndex)
+     */
+    async regenerateEmbeddings(cacheManager) {
+        try {
+            const previousInfo = cacheManager.getCacheInfo();
+            const cacheSignature = cacheManager.generateCacheSignature();
+            const fileChanges = cacheManager.diffSignatures(previousInfo, cacheSignature);
+            if (fileChanges) {
+                this.log(`📝 KB changes: ${fileChanges.added.length} added, ${fileChanges.changed.length} changed, ${fileChanges.removed.length} removed`);
+            }
+            
+            const { embeddings, missing } = this.alignEmbeddings();
+            const reused = this.chunks.length - missing.length;
+            this.log(`🔄 Embedding ${missing.length} chunks with ${this.embeddingProvider.name} (reusing ${reused})...`);
+            
+            const failed = await this.embedMissing(this.chunks, embeddings, missing);
+            const pruned = this.pruneVectorStore();
+            this.embeddings = embeddings;
+            
+            this.embeddingStats = {
+                reused,
+                recomputed: missing.length - failed,
+                failed,
+                pruned,
+                fileChanges,
+                updatedAt: new Date().toISOString()
+            };
+            this.log(`✅ Embeddings ready: ${reused} reused, ${missing.length - failed} recomputed, ${failed} failed, ${pruned} pruned`);
+            
+            // Save the new cache
+            await this.saveEmbeddingsCache();
+            this.vectorIndex = this.buildVectorIndex();
+            
+            // Update cache info
+            if (cacheSignature) {
+                cacheManager.saveCacheInfo(cacheSignature, { embeddingStats: this.embeddingStats });
+                this.kbSignature = cacheSignature;
+            }
+            
+            this.isInitialized = true;
+            this.log("✅ RAG system initialized with fresh embeddings");
+            
+        } catch (error) {
+            console.error("❌ Failed to regenerate embeddings:", error);
+            // Fallback to whatever vectors we have
+            this.embeddings = this.chunks.map((chunk, index) => this.embeddings[index] || []);
+            this.vectorIndex = null;
+            this.isInitialized = true;
+        }
+        this.clearQueryCaches();
+    }
+
+    /**
+     * Hot reload: re-read only the knowledge base files whose signature changed.
+     * Reloads are serialized; changes arriving mid-reload trigger one more pass.
+     */
+    async reloadChangedFiles(cacheManager) {
+        if (this.reloadInProgress) {
+            this.reloadPending = true;
+            return;
+        }
+        await this.withReloadLock(cacheManager, () => this.applyKnowledgeBaseChanges(cacheManager));
+    }
+
+    /**
+     * Re-read and re-embed the whole knowledge base from scratch. Waits for a
+     * running hot reload, and hot reloads wait for it.
+     */
+    async rebuildIndex(cacheManager) {
+        await this.withReloadLock(cacheManager, () => this.buildFullIndex(cacheManager));
+    }
+
+    /**
+     * Run a reload task once no other is running, then the hot reload passes
+     * requested while it ran
+     */
+    async withReloadLock(cacheManager, task) {
+        while (this.reloadInProgress) {
+            await this.reloadFinished;
+        }
+        
+        this.reloadInProgress = true;
+        let finish;
+        this.reloadFinished = new Promise(resolve => { finish = resolve; });
+        try {
+            await task();
+            while (this.reloadPending) {
+                this.reloadPending = false;
+                await this.applyKnowledgeBaseChanges(cacheManager);
+            }
+        } finally {
+            this.reloadInProgress = false;
+            finish();
+        }
+    }
+
+    /**
+     * Chunk, embed and index everything into a fresh vector store off to the
+     * side, then swap it all in at once like applyKnowledgeBaseChanges
+     */
+    async buildFullIndex(cacheManager) {
+        const startTime = Date.now();
+        const signature = cacheManager.generateCacheSignature();
+        const knowledgeBase = this.loadKnowledgeBase();
+        const chunksByFile = this.extractChunksByFile(knowledgeBase);
+        const chunks = [...chunksByFile.values()].flat();
+        const lexicalIndex = this.buildLexicalIndex(chunks);
+        
+        this.log(`🔄 Embedding all ${chunks.length} chunks with ${this.embeddingProvider.name}...`);
+        const vectorStore = new Map();
+        const embeddings = new Array(chunks.length).fill(null);
+        const failed = await this.embedMissing(chunks, embeddings, chunks.map((chunk, index) => index), vectorStore);
+        const vectorIndex = this.buildVectorIndex(embeddings);
+        
+        Object.assign(this, { knowledgeBase, chunksByFile, chunks, embeddings, lexicalIndex, vectorIndex, vectorStore });
+        if (signature) this.kbSignature = signature;
+        this.isInitialized = true;
+        this.clearQueryCaches();
+        
+        this.embeddingStats = {
+            reused: 0,
+            recomputed: chunks.length - failed,
+            failed,
+            pruned: 0,
+            fileChanges: null,
+            updatedAt: new Date().toISOString()
+        };
+        await this.saveEmbeddingsCache();
+        if (signature) cacheManager.saveCacheInfo(signature, { embeddingStats: this.embeddingStats });
+        this.log(`✅ Full rebuild complete in ${Date.now() - startTime}ms: ${chunks.length} chunks (${failed} failed)`);
+    }
+
+    async applyKnowledgeBaseChanges(cacheManager) {
+        const signature = cacheManager.generateCacheSignature();
+        const diff = cacheManager.diffSignatures(this.kbSignature, signature) || { added: [], changed: [], removed: [] };
+        const external = this.diffExternalDocuments();
+        if (diff.added.length + diff.changed.length + diff.removed.length + external.length === 0) {
+            return;
+        }
+        
+        const startTime = Date.now();
+        this.log(`🔁 Knowledge base changed: +${diff.added.length} ~${diff.changed.length} -${diff.removed.length} files, ${external.length} external documents`);
+        
+        // Build the next state entirely off to the side...
+        const affected = new Set([...diff.added, ...diff.changed, ...diff.removed].map(toFileKey).concat(external));
+        
+        const knowledgeBase = { ...this.knowledgeBase };
+        for (const fileKey of affected) {
+            delete knowledgeBase[fileKey];
+        }
+        for (const relativePath of [...diff.added, ...diff.changed]) {
+            this.loadDocumentFile(path.join(this.knowledgeBasePath, relativePath), relativePath, knowledgeBase);
+        }
+        for (const fileKey of external) {
+            if (this.externalDocuments[fileKey]) knowledgeBase[fileKey] = this.externalDocuments[fileKey];
+        }
+        
+        const reusable = new Map([...this.chunksByFile].filter(([fileKey]) => !affected.has(fileKey)));
+        const chunksByFile = this.extractChunksByFile(knowledgeBase, reusable);
+        const chunks = [...chunksByFile.values()].flat();
+        const lexicalIndex = this.buildLexicalIndex(chunks);
+        
+        const { embeddings, missing } = this.alignEmbeddings(chunks);
+        const failed = await this.embedMissing(chunks, embeddings, missing);
+        const vectorIndex = this.buildVectorIndex(embeddings);
+        
+        // ...then swap it in with one synchronous assignment, so a query sees
+        // either the old index or the new one, never a mix
+        Object.assign(this, { knowledgeBase, chunksByFile, chunks, embeddings, lexicalIndex, vectorIndex });
+        if (signature) this.kbSignature = signature;
+        this.clearQueryCaches();
+        
+        const pruned = this.pruneVectorStore(chunks);
+        this.embeddingStats = {
+            reused: chunks.length - missing.length,
+            recomputed: missing.length - failed,
+            failed,
+            pruned,
+            fileChanges: diff,
+            updatedAt: new Date().toISOString()
+        };
+        this.lastReload = {
+            at: new Date().toISOString(),
+            added: diff.added,
+            changed: diff.changed,
+            removed: diff.removed,
+            external,
+            durationMs: Date.now() - startTime
+        };
+        
+        await this.saveEmbeddingsCache();
+        if (signature) cacheManager.saveCacheInfo(signature, { embeddingStats: this.embeddingStats });
+        this.log(`✅ Hot reload complete in ${this.lastReload.durationMs}ms: ${chunks.length} chunks (${missing.length - failed} re-embedded, ${pruned} pruned)`);
+    }
+    
+    async loadEmbeddingsCache() {
+        this.vectorStore = new Map();
+        this.cacheStatus = { schemaVersion: null, migratedFrom: null, incompatibleReason: null, changes: null };
+        try {
+            if (this.embeddingsCachePath && fs.existsSync(this.embeddingsCachePath)) {
+                this.log("📦 Loading embeddings from cache...");
+                const cacheData = fs.readFileSync(this.embeddingsCachePath, 'utf8');
+                const { cache, migratedFrom } = migrateEmbeddingsCache(JSON.parse(cacheData), this.cacheContext());
+                if (migratedFrom !== null) {
+                    this.log(`🔄 Migrated embeddings cache from schema v${migratedFrom} to v${EMBEDDINGS_CACHE_VERSION}`);
+                }
+                
+                const incompatible = checkCacheProvider(cache, this.embeddingProvider.describe());
+                if (incompatible) {
+                    throw new CacheCompatibilityError(incompatible);
+                }
+                
+                // Vectors are keyed by content, so a different chunk layout only
+                // means some chunks get re-embedded
+                const current = this.describeChunks(this.chunks);
+                const changes = diffChunkIds(cache.chunkIds, this.chunks, this.cacheContext());
+                if (cache.chunker && (cache.chunker.version !== current.version || cache.chunker.fingerprint !== current.fingerprint)) {
+                    this.log(`📝 Cache chunks (v${cache.chunker.version}, ${cache.chunker.fingerprint}) differ from current (v${current.version}, ${current.fingerprint}): ${changes.added} added, ${changes.edited} edited, ${changes.removed} removed`);
+                }
+                
+                this.vectorStore = cache.vectors;
+                this.cacheStatus = { schemaVersion: cache.schemaVersion, migratedFrom, incompatibleReason: null, changes };
+                this.log(`✅ Embeddings loaded from cache! (${this.vectorStore.size} vectors)`);
+                return true;
+            }
+            this.log("📦 No embeddings cache found");
+            return false;
+        } catch (error) {
+            if (error instanceof CacheCompatibilityError) {
+                console.warn(`⚠️ Embeddings cache is incompatible: ${error.message}`);
+                this.cacheStatus.incompatibleReason = error.message;
+            } else {
+                console.warn("⚠️ Could not load embeddings cache:", error.message);
+            }
+            return false;
+        }
+    }
+    
+    /**
+     * How the cache format helpers identify and hash the current chunks
+     */
+    cacheContext() {
+        return {
+            chunks: this.chunks,
+            chunkKey: chunk => this.chunkKey(chunk),
+            chunkId: chunk => this.chunkId(chunk),
+            readVectorFile: (file) => {
+                const filePath = path.join(path.dirname(this.embeddingsCachePath), path.basename(file));
+                return fs.existsSync(filePath) ? fs.readFileSync(filePath) : null;
+            }
+        };
+    }
+    
+    /**
+     * The embeddings cache as written to disk (schema described in
+     * embeddings-cache.js)
+     */
+    buildEmbeddingsCache() {
+        const chunkIds = {};
+        for (const chunk of this.chunks) {
+            const key = this.chunkKey(chunk);
+            if (this.vectorStore.has(key)) chunkIds[this.chunkId(chunk)] = key;
+        }
+        return {
+            schemaVersion: EMBEDDINGS_CACHE_VERSION,
+            provider: this.embeddingProvider.describe(),
+            chunker: this.describeChunks(this.chunks),
+            chunkIds,
+            // Vectors keyed by chunk content hash. The chunks are generated live.
+            vectors: this.vectorStore,
+            timestamp: new Date().toISOString(),
+            folderStats: this.getFolderStats()
+        };
+    }
+
+    /**
+     * Reasons this cache doesn't match the current schema, provider, chunker
+     * and chunks (empty when it covers every chunk exactly). The server only
+     * rejects a cache it can't migrate or whose vectors don't fit the
+     * provider; cache:regenerate refuses to write one with any problem.
+     */
+    checkEmbeddingsCache(cache) {
+        if (cache.schemaVersion !== EMBEDDINGS_CACHE_VERSION) {
+            return [`schema v${detectCacheVersion(cache)}, expected v${EMBEDDINGS_CACHE_VERSION}`];
+        }
+        const problems = [];
+        const incompatible = checkCacheProvider(cache, this.embeddingProvider.describe());
+        if (incompatible) problems.push(incompatible);
+
+        const current = this.describeChunks(this.chunks);
+        if (!cache.chunker) {
+            problems.push('no chunker version recorded');
+        } else if (cache.chunker.version !== current.version) {
+            problems.push(`built by chunker v${cache.chunker.version}, current chunker is v${current.version}`);
+        } else if (cache.chunker.fingerprint !== current.fingerprint) {
+            problems.push(`chunk fingerprint ${cache.chunker.fingerprint} (${cache.chunker.chunks} chunks) differs from the current ${current.fingerprint} (${current.chunks} chunks)`);
+        }
+
+        const uncovered = this.chunks.filter(chunk => !(cache.vectors.get(this.chunkKey(chunk))?.length > 0)).length;
+        if (uncovered > 0) {
+            problems.push(`${uncovered}/${this.chunks.length} chunks have no vector`);
+        }
+        return problems;
+    }
+
+    /**
+     * Write a cache (from buildEmbeddingsCache) as the binary vector file plus
+     * the JSON manifest. Throws on failure.
+     */
+    writeEmbeddingsCache(cache) {
+        const { vectors, ...manifest } = cache;
+        const keys = [...vectors.keys()];
+        const { buffer, vectorFile } = encodeVectors(keys, vectors, this.vectorEncoding);
+        const file = `${path.basename(this.embeddingsCachePath, '.json')}.bin`;
+
+        // Vectors first; the manifest checksum catches a vector file from another write
+        fs.writeFileSync(path.join(path.dirname(this.embeddingsCachePath), file), buffer);
+        fs.writeFileSync(this.embeddingsCachePath, JSON.stringify({ ...manifest, keys, vectorFile: { file, ...vectorFile } }));
+    }
+
+    async saveEmbeddingsCache() {
+        if (!this.embeddingsCachePath) return;
+        try {
+            this.writeEmbeddingsCache(this.buildEmbeddingsCache());
+            this.log(`💾 Embeddings cached successfully! (${this.vectorEncoding})`);
+        } catch (error) {
+            console.warn("⚠️ Could not save embeddings cache:", error.message);
+        }
+    }
+    
+    /**
+     * Embed text with the configured provider. Throws on failure instead of
+     * returning a zero vector, so callers can tell "no match" from "no embedding".
+     */
+    async getEmbedding(text) {
+        return this.embeddingProvider.embed(text);
+    }
+
+    /**
+     * Embedding of a search question, cached by normalized question text
+     */
+    async getQueryEmbedding(question) {
+        const key = normalizeQuestion(question);
+        const cached = this.queryEmbeddingCache.get(key);
+        if (cached) return cached;
+
+        const generation = this.indexGeneration;
+        const embedding = await this.getEmbedding(question);
+        if (generation === this.indexGeneration) this.queryEmbeddingCache.set(key, embedding);
+        return embedding;
+    }
+
+    /**
+     * Forget cached query embeddings and search results (after the index, or
+     * the provider behind it, changes)
+     */
+    clearQueryCaches() {
+        this.indexGeneration++;
+        this.queryEmbeddingCache.clear();
+        this.searchCache.clear();
+    }
+
+    queryCacheStats() {
+        return {
+            generation: this.indexGeneration,
+            embeddings: this.queryEmbeddingCache.stats(),
+            results: this.searchCache.stats()
+        };
+    }
+    
+    /**
+     * Best cosine similarity between a text and the cached vectors of the
+     * given chunks (chunks without a cached vector are skipped). Null when
+     * none of them has one.
+     */
+    async similarityToChunks(text, chunks) {
+        const vectors = chunks
+            .map(chunk => this.vectorStore.get(this.chunkKey(chunk)))
+            .filter(vector => vector?.length > 0);
+        if (vectors.length === 0) return null;
+
+        const embedding = await this.getEmbedding(text);
+        return Math.max(...vectors.map(vector => this.cosineSimilarity(embedding, vector)));
+    }
+
+    cosineSimilarity(a, b) {
+        if (!a || !b || a.length !== b.length) return 0;
+        
+        let dotProduct = 0;
+        let normA = 0;
+        let normB = 0;
+        
+        for (let i = 0; i < a.length; i++) {
+            dotProduct += a[i] * b[i];
+            normA += a[i] * a[i];
+            normB += b[i] * b[i];
+        }
+        
+        if (normA === 0 || normB === 0) return 0;
+        
+        return dotProduct / (Math.sqrt(normA) * Math.sqrt(normB));
+    }
+    
+    /**
+     * Nearest chunks to an embedding: HNSW when available, brute force otherwise.
+     * A filtered search (`allowed` Set of chunk indices) scans only those chunks.
+     */
+    vectorSearch(queryEmbedding, k, options = {}, state = this, allowed = null) {
+        if (state.vectorIndex && !options.exact && !allowed) {
+            return state.vectorIndex.search(queryEmbedding, k, options.hnswEfSearch);
+        }
+        // Stored vectors are unit length: normalize the query once and take dot products
+        const query = normalizeVector(queryEmbedding);
+        const indices = allowed ? [...allowed] : state.embeddings.map((_, index) => index);
+        return indices
+            .map(index => ({ index, score: dotProduct(query, state.embeddings[index]) }))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, k);
+    }
+    
+    /**
+     * "translationKey|language" -> chunk index, cached per chunk list
+     */
+    getTranslationLookup(chunks) {
+        let lookup = this.translationLookups.get(chunks);
+        if (!lookup) {
+            lookup = new Map();
+            chunks.forEach((chunk, index) => {
+                if (chunk.translationKey) {
+                    lookup.set(`${chunk.translationKey}|${chunk.language}`, index);
+                }
+            });
+            this.translationLookups.set(chunks, lookup);
+        }
+        return lookup;
+    }
+    
+    /**
+     * HYBRID search - vector similarity and BM25 fused by reciprocal rank
+     * Options: { vectorWeight, lexicalWeight, rrfK, ... } override RETRIEVAL_CONFIG;
+     * { exact: true } scans every embedding instead of using the HNSW index;
+     * { language: 'en' | 'tl' } overrides question language detection;
+     * { rerank: 'gemini' | 'lexical' | 'none' } overrides the configured reranker;
+     * { mmr, mmrLambda, maxPerFile } tune diversity selection;
+     * { filters } (from parseFilters) restricts the chunks that are scored at all
+     * Results are cached per normalized question and options until the index
+     * is rebuilt; callers get their own copies of the result objects.
+     */
+    async search(question, topK = 20, options = {}) {
+        if (!this.isInitialized) {
+            console.warn("⚠️ RAG system not initialized");
+            return [];
+        }
+
+        const key = searchCacheKey(question, topK, options);
+        const cached = this.searchCache.get(key);
+        if (cached) {
+            this.log(`⚡ Search cache hit: "${question}"`);
+            return cached.map(result => ({ ...result }));
+        }
+
+        const generation = this.indexGeneration;
+        const trace = { vectorFailed: false };
+        const results = await this.runSearch(question, topK, options, trace);
+        // A lexical-only fallback (embedding call failed) is not worth keeping
+        if (generation === this.indexGeneration && !trace.vectorFailed) {
+            this.searchCache.set(key, results.map(result => ({ ...result })));
+        }
+        return results;
+    }
+
+    async runSearch(question, topK, options, trace = {}) {
+        
+        // Snapshot the index once: a hot reload may swap it while we await the embedding
+        const state = {
+            chunks: this.chunks,
+            embeddings: this.embeddings,
+            lexicalIndex: this.lexicalIndex,
+            vectorIndex: this.vectorIndex
+        };
+        
+        if (state.chunks.length === 0) {
+            console.warn("⚠️ No chunks available");
+            return [];
+        }
+        
+        const config = { ...RETRIEVAL_CONFIG, ...options };
+        this.log(`🔍 Searching: "${question}"`);
+        
+        // 0. Metadata filters narrow the candidate set before anything is scored
+        let allowed = null;
+        if (config.filters) {
+            allowed = new Set();
+            state.chunks.forEach((chunk, index) => {
+                if (matchesFilters(chunk, config.filters)) allowed.add(index);
+            });
+            this.log(`🔎 Filters ${JSON.stringify(config.filters)}: ${allowed.size}/${state.chunks.length} chunks in scope`);
+            if (allowed.size === 0) return [];
+        }
+        
+        // 1. Vector ranking (skipped if the question can't be embedded)
+        let vectorRanking = [];
+        if (state.embeddings.length !== state.chunks.length) {
+            console.error(`❌ Mismatch! Chunks: ${state.chunks.length}, Embeddings: ${state.embeddings.length}. Falling back to lexical search.`);
+        } else {
+            try {
+                const questionEmbedding = await this.getQueryEmbedding(question);
+                vectorRanking = this.vectorSearch(questionEmbedding, config.candidatePool, config, state, allowed)
+                    .map(({ index, score }) => ({
+                        index,
+                        // Small boost for aggregate chunks (they often contain comprehensive info)
+                        score: state.chunks[index].isAggregate ? score * config.aggregateBoost : score
+                    }))
+                    .filter(r => r.score > config.minSimilarity)
+                    .sort((a, b) => b.score - a.score)
+                    .slice(0, config.candidatePool);
+            } catch (error) {
+                trace.vectorFailed = true;
+                console.error(`❌ Could not embed question with ${this.embeddingProvider.name}, using lexical search only:`, error.message);
+            }
+        }
+        
+        // 2. Lexical ranking
+        const lexicalRanking = state.lexicalIndex.search(question, config.candidatePool, allowed);
+        const rareTerms = state.lexicalIndex.rareTerms(question, config.rareTermMaxDf);
+        let exactRanking = [];
+        if (rareTerms.length > 0) {
+            const exactDocs = state.lexicalIndex.documentsWithTerms(rareTerms);
+            exactRanking = lexicalRanking.filter(r => exactDocs.has(r.index));
+            this.log(`🔤 Rare terms in question: ${rareTerms.join(', ')} (${exactRanking.length} exact matches)`);
+        }
+        
+        // 3. Reciprocal-rank fusion
+        const fused = new Map();
+        const addRanking = (ranking, weight, key) => {
+            ranking.forEach((result, rank) => {
+                const entry = fused.get(result.index) || { score: 0, vectorScore: null, lexicalScore: null };
+                entry.score += weight / (config.rrfK + rank + 1);
+                entry[key] = result.score;
+                fused.set(result.index, entry);
+            });
+        };
+        addRanking(vectorRanking, config.vectorWeight, 'vectorScore');
+        addRanking(lexicalRanking, config.lexicalWeight, 'lexicalScore');
+        addRanking(exactRanking, config.exactMatchWeight, 'lexicalScore');
+        
+        // 4. Bilingual chunks: keep the variant in the question's language (plus any
+        // language the user explicitly asks to quote); a hit on the other variant
+        // is credited to its linked sibling
+        const language = config.language || detectLanguage(question);
+        const allowedLanguages = new Set([language, ...detectRequestedLanguages(question)]);
+        const translations = this.getTranslationLookup(state.chunks);
+        for (const [index, entry] of [...fused.entries()]) {
+            const chunk = state.chunks[index];
+            if (!chunk.language || allowedLanguages.has(chunk.language)) continue;
+            
+            fused.delete(index);
+            const siblingIndex = translations.get(`${chunk.translationKey}|${language}`);
+            if (siblingIndex === undefined) continue;
+            const sibling = fused.get(siblingIndex) || { score: 0, vectorScore: null, lexicalScore: null };
+            sibling.score += entry.score;
+            sibling.vectorScore = sibling.vectorScore ?? entry.vectorScore;
+            sibling.lexicalScore = sibling.lexicalScore ?? entry.lexicalScore;
+            fused.set(siblingIndex, sibling);
+        }
+        
+        let ranked = [...fused.entries()]
+            .map(([index, entry]) => ({
+                ...state.chunks[index],
+                chunkIndex: index,
+                score: entry.score,
+                vectorScore: entry.vectorScore,
+                lexicalScore: entry.lexicalScore
+            }))
+            .sort((a, b) => b.score - a.score);
+        
+        // 5. Optional second-stage rerank of the best candidates
+        const reranker = config.rerank === undefined ? this.reranker : createReranker(config.rerank);
+        if (reranker) {
+            ranked = await this.rerank(question, ranked, reranker, config);
+        }
+        
+        // 6. Diversity: MMR and per-file quotas so one file can't fill every slot
+        let topResults = this.selectDiverse(ranked, topK, config, state);
+        
+        // A verbatim quote in another language was requested: put each bilingual
+        // hit's linked sibling right next to it
+        if (allowedLanguages.size > 1) {
+            const included = new Set(topResults.map(r => `${r.translationKey}|${r.language}`));
+            topResults = topResults.flatMap(result => {
+                if (!result.translationKey) return [result];
+                const siblings = [...allowedLanguages]
+                    .filter(lang => !included.has(`${result.translationKey}|${lang}`))
+                    .map(lang => translations.get(`${result.translationKey}|${lang}`))
+                    .filter(siblingIndex => siblingIndex !== undefined)
+                    .map(siblingIndex => {
+                        const sibling = state.chunks[siblingIndex];
+                        included.add(`${sibling.translationKey}|${sibling.language}`);
+                        return { ...sibling, score: result.score, vectorScore: null, lexicalScore: null };
+                    });
+                return [result, ...siblings];
+            }).slice(0, topK);
+        }
+        
+        this.log(`📊 Found ${topResults.length} relevant chunks (vector: ${vectorRanking.length}, lexical: ${lexicalRanking.length}, language: ${[...allowedLanguages].join('+')})`);
+        if (topResults.length > 0) {
+            this.log(`🎯 Top score: ${topResults[0].score.toFixed(4)}`);
+            this.log(`📍 Top context: ${topResults[0].context}`);
+            if (topResults.length > 1) {
+                this.log(`📈 Score range: ${topResults[topResults.length-1].score.toFixed(4)} - ${topResults[0].score.toFixed(4)}`);
+            }
+        }
+        
+        return topResults;
+    }
+    
+    /**
+     * Rescore the top rerankTopN results with `reranker` and reorder them by the
+     * new score. Each reranked result keeps its fused score and rank as
+     * retrievalScore / retrievalRank. On reranker failure the order is unchanged.
+     */
+    async rerank(question, ranked, reranker, config = RETRIEVAL_CONFIG) {
+        const candidates = ranked.slice(0, config.rerankTopN);
+        if (candidates.length === 0) return ranked;
+        
+        let scores;
+        try {
+            scores = await reranker.rerank(question, candidates);
+        } catch (error) {
+            console.error(`❌ Rerank with ${reranker.name} failed, keeping retrieval order:`, error.message);
+            return ranked;
+        }
+        
+        const reranked = candidates
+            .map((result, i) => ({
+                ...result,
+                retrievalScore: result.score,
+                retrievalRank: i + 1,
+                rerankScore: scores[i],
+                score: scores[i]
+            }))
+            .sort((a, b) => b.rerankScore - a.rerankScore || b.retrievalScore - a.retrievalScore);
+        const kept = reranked.filter(r => r.rerankScore >= config.rerankMinScore);
+        
+        this.log(`🔁 Reranked ${candidates.length} candidates with ${reranker.name} (dropped ${reranked.length - kept.length} under ${config.rerankMinScore}):`);
+        kept.slice(0, 5).forEach((result, i) => {
+            this.log(`   ${i + 1}. (was ${result.retrievalRank}) ${result.retrievalScore.toFixed(4)} → ${result.rerankScore.toFixed(3)}  ${result.context}`);
+        });
+        
+        return [...kept, ...ranked.slice(config.rerankTopN)];
+    }
+    
+    /**
+     * Pick topK results by maximal marginal relevance: each step takes the
+     * candidate maximizing lambda * relevance - (1 - lambda) * (max similarity to
+     * the already picked ones), skipping files that reached maxPerFile.
+     * Similarity is embedding cosine, or term overlap when a vector is missing.
+     */
+    selectDiverse(ranked, topK, config = RETRIEVAL_CONFIG, state = this) {
+        const quota = config.maxPerFile > 0 ? config.maxPerFile : Infinity;
+        const perFile = new Map();
+        const underQuota = (result) => (perFile.get(result.fileName) || 0) < quota;
+        const take = (result) => perFile.set(result.fileName, (perFile.get(result.fileName) || 0) + 1);
+        
+        if (!config.mmr || config.mmrLambda >= 1) {
+            const selected = [];
+            for (const result of ranked) {
+                if (selected.length >= topK) break;
+                if (!underQuota(result)) continue;
+                selected.push(result);
+                take(result);
+            }
+            return selected;
+        }
+        
+        const pool = ranked.slice(0, Math.max(topK * 3, config.candidatePool));
+        const maxScore = Math.max(...pool.map(r => r.score), 0) || 1;
+        const vectors = pool.map(r => state.embeddings[r.chunkIndex]);
+        const termSets = new Map();
+        const terms = (i) => {
+            if (!termSets.has(i)) termSets.set(i, new Set(tokenize(pool[i].text)));
+            return termSets.get(i);
+        };
+        const similarity = (i, j) => {
+            if (vectors[i]?.length > 0 && vectors[j]?.length > 0) {
+                return dotProduct(vectors[i], vectors[j]);
+            }
+            const a = terms(i);
+            const b = terms(j);
+            const shared = [...a].filter(term => b.has(term)).length;
+            return shared / (a.size + b.size - shared || 1);
+        };
+        
+        const selected = [];
+        const maxSimilarity = new Array(pool.length).fill(0);
+        const remaining = new Set(pool.keys());
+        while (selected.length < topK && remaining.size > 0) {
+            let best = -1;
+            let bestScore = -Infinity;
+            for (const i of remaining) {
+                if (!underQuota(pool[i])) continue;
+                const mmrScore = config.mmrLambda * (pool[i].score / maxScore) - (1 - config.mmrLambda) * maxSimilarity[i];
+                if (mmrScore > bestScore) {
+                    best = i;
+                    bestScore = mmrScore;
+                }
+            }
+            if (best === -1) break;
+            
+            remaining.delete(best);
+            selected.push(pool[best]);
+            take(pool[best]);
+            for (const i of remaining) {
+                maxSimilarity[i] = Math.max(maxSimilarity[i], similarity(i, best));
+            }
+        }
+        
+        const files = new Set(selected.map(r => r.fileName));
+        this.log(`🧩 Diversity: picked ${selected.length} of ${pool.length} (λ=${config.mmrLambda}, ${files.size} files${quota < Infinity ? `, max ${quota}/file` : ''})`);
+        return selected;
+    }
+    
+    // =================================================================
+    // START: UPDATED getContext METHOD (with fileName grouping)
+    // =================================================================
+    
+    /**
+     * Improved context building
+     * (Now groups by file source)
+     */
+    async getContext(question, topK = 20, searchOptions = {}) {
+        return (await this.packContext(question, topK, searchOptions)).context;
+    }
+    
+    /**
+     * Build the context from the best results that fit searchOptions.tokenBudget
+     * (default RETRIEVAL_CONFIG.contextTokenBudget), in rank order.
+     * Returns { context, budget, usedTokens, included, dropped }.
+     */
+    async packContext(question, topK = 20, searchOptions = {}) {
+        // Callers that already searched can pass their results in to avoid a second search
+        const results = searchOptions.results || await this.search(question, topK, searchOptions);
+        const budget = searchOptions.tokenBudget ?? RETRIEVAL_CONFIG.contextTokenBudget;
+        
+        if (results.length === 0) {
+            this.log("❌ No relevant chunks found for question:", question);
+            return { context: "No relevant information found in the knowledge base.", budget, usedTokens: 0, included: [], dropped: [] };
+        }
+        
+        // Log what we found for debugging
+        this.log("🎯 Top search results for context:");
+        results.slice(0, 3).forEach((result, i) => {
+            this.log(`   ${i+1}. Score: ${result.score.toFixed(4)}, File: ${result.fileName}, Ctx: ${result.context}`);
+        });
+        
+        const isMultilingual = new Set(results.map(r => r.language).filter(Boolean)).size > 1;
+        const labelFor = (chunk) => isMultilingual && chunk.language ? `[${LANGUAGES[chunk.language].name}] ` : '';
+        // External documents carry their own title ("Wikipedia - CDO Foodsphere")
+        const titleFor = (chunk) => chunk.sourceTitle || this.formatKeyAsTitle(chunk.fileName || 'general');
+        const fileHeader = (chunk) => `\n### Context from: ${titleFor(chunk)}\n`;
+        
+        // Pack the best-ranked chunks first; a file's header is paid for by its first chunk
+        let usedTokens = 0;
+        const included = [];
+        const dropped = [];
+        const packedFiles = new Set();
+        for (const result of this.mergeSiblingWindows(results)) {
+            const fileName = result.fileName || 'general';
+            const tokens = estimateTokens(labelFor(result) + result.text)
+                + (packedFiles.has(fileName) ? 0 : estimateTokens(fileHeader(result)));
+            if (usedTokens + tokens > budget) {
+                dropped.push({ ...result, tokens });
+                continue;
+            }
+            usedTokens += tokens;
+            packedFiles.add(fileName);
+            included.push({ ...result, tokens, sourceTitle: titleFor(result) });
+        }
+        
+        // Group by FILENAME. This is the key change.
+        const groupedByFile = {};
+        included.forEach(result => {
+            const fileName = result.fileName || 'general'; // e.g., 'code-of-conduct' or 'attract-phase'
+            if (!groupedByFile[fileName]) groupedByFile[fileName] = [];
+            groupedByFile[fileName].push(result);
+        });
+        
+        const contextParts = [];
+
+        // Loop through each file's chunks
+        for (const [fileName, chunks] of Object.entries(groupedByFile)) {
+            
+            // Add the source name (e.g., "Code Of Conduct") as a clear header for the AI
+            contextParts.push(fileHeader(chunks[0]));
+            
+            // Prioritize aggregate chunks
+            const aggregateChunks = chunks.filter(c => c.isAggregate);
+            const regularChunks = chunks.filter(c => !c.isAggregate);
+            
+            [...aggregateChunks, ...regularChunks].forEach(chunk => {
+                // Just add the text. The AI will see it's under the "Context from: ..." header.
+                // When both languages of a provision are present, label them for verbatim quoting.
+                contextParts.push(labelFor(chunk) + chunk.text + '\n');
+            });
+        }
+
+        const finalContext = contextParts.join('\n');
+        this.log(`📄 Final context: ${finalContext.length} chars, ~${usedTokens}/${budget} tokens, ${included.length} chunks from ${Object.keys(groupedByFile).length} sources (${dropped.length} dropped)`);
+        
+        return { context: finalContext, budget, usedTokens, included, dropped };
+    }
+
+    /**
+     * Collapse windows of the same oversized chunk into one result (at the
+     * position of its best window) with the overlapping text removed
+     */
+    mergeSiblingWindows(results) {
+        const windowsByParent = new Map();
+        for (const result of results) {
+            if (!result.parentId) continue;
+            if (!windowsByParent.has(result.parentId)) windowsByParent.set(result.parentId, []);
+            windowsByParent.get(result.parentId).push(result);
+        }
+        
+        const merged = [];
+        for (const result of results) {
+            const windows = windowsByParent.get(result.parentId);
+            if (!windows) {
+                merged.push(result);
+            } else if (windows[0] === result) {
+                merged.push(windows.length === 1 ? result : {
+                    ...result,
+                    text: mergeWindows(windows.map(w => ({ text: w.text, start: w.windowStart, end: w.windowEnd }))),
+                    score: Math.max(...windows.map(w => w.score)),
+                    mergedWindows: windows.map(w => w.windowIndex).sort((a, b) => a - b)
+                });
+            }
+        }
+        return merged;
+    }
+
+    // =================================================================
+    // END: UPDATED getContext METHOD
+    // =================================================================
+}
@@ -0,0 +1,112 @@
+// backend/rerankers.js
+import { BM25Index, tokenize } from './bm25-index.js';
+import { generateContent, GEMINI_MODEL } from './gemini-client.js';
+
+/**
+ * Each reranker scores candidates against the question:
+ * rerank(question, candidates) -> one relevance score in [0, 1] per candidate.
+ * Candidates are search results ({ context, text, ... }).
+ */
+
+/**
+ * LLM relevance judge: one Gemini call grades every passage 0-10
+ */
+export class GeminiReranker {
+    constructor(options = {}) {
+        this.name = 'gemini';
+        this.model = GEMINI_MODEL;
+        this.apiKey = options.apiKey || process.env.GEMINI_API_KEY;
+        this.maxPassageChars = options.maxPassageChars || 800;
+        this.isLocal = false;
+    }
+
+    async rerank(question, candidates) {
+        if (!this.apiKey) {
+            throw new Error("GEMINI_API_KEY not set in environment");
+        }
+
+        const passages = candidates
+            .map((candidate, i) => `[${i}] (${candidate.context})\n${candidate.text.substring(0, this.maxPassageChars)}`)
+            .join('\n\n');
+        const prompt = `Rate how useful each passage is for answering the question, from 0 (irrelevant) to 10 (answers it directly).
+
+QUESTION: ${question}
+
+PASSAGES:
+${passages}
+
+Reply with only a JSON array of ${candidates.length} numbers, one per passage in order.`;
+
+        const { ok, status, text } = await generateContent(prompt, { temperature: 0, maxOutputTokens: 256 }, this.apiKey);
+        if (!ok) {
+            throw new Error(`Rerank API error: ${status}`);
+        }
+
+        const match = text.match(/\[[\s\S]*?\]/);
+        const grades = match ? JSON.parse(match[0]) : null;
+        if (!Array.isArray(grades) || grades.length !== candidates.length) {
+            throw new Error("Rerank API returned an unexpected score list");
+        }
+        return grades.map(grade => Math.min(Math.max(Number(grade) || 0, 0), 10) / 10);
+    }
+}
+
+/**
+ * Offline scorer: BM25 of the passage and its context trail against the
+ * question, with idf and length normalization taken over the candidate set,
+ * blended with how many adjacent query term pairs appear as phrases
+ */
+export class LexicalOverlapReranker {
+    constructor(options = {}) {
+        this.name = 'lexical';
+        this.model = 'bm25-phrase-v2';
+        this.phraseWeight = options.phraseWeight ?? 0.3;
+        this.isLocal = true;
+    }
+
+    async rerank(question, candidates) {
+        const queryTerms = [...new Set(tokenize(question))];
+        const queryPairs = new Set(queryTerms.slice(1).map((term, i) => `${queryTerms[i]} ${term}`));
+        if (queryTerms.length === 0) {
+            return candidates.map(() => 0);
+        }
+
+        // BM25 as a share of the best possible score (every term, tf -> infinity),
+        // so repeated and rarer terms count for more than a bare mention
+        const documents = candidates.map(candidate => `${candidate.context}\n${candidate.text}`);
+        const index = new BM25Index().build(documents);
+        const maxScore = queryTerms.reduce((sum, term) => sum + index.idf(term) * (index.k1 + 1), 0);
+        const termScores = new Map(index.search(question, candidates.length).map(({ index: i, score }) => [i, score / maxScore]));
+
+        return documents.map((document, i) => {
+            const tokens = tokenize(document);
+            const pairs = new Set(tokens.slice(1).map((token, j) => `${tokens[j]} ${token}`));
+
+            const termScore = termScores.get(i) || 0;
+            const pairCoverage = queryPairs.size > 0
+                ? [...queryPairs].filter(pair => pairs.has(pair)).length / queryPairs.size
+                : termScore;
+            return (1 - this.phraseWeight) * termScore + this.phraseWeight * pairCoverage;
+        });
+    }
+}
+
+/**
+ * Returns null when reranking is off ('none' or unset)
+ */
+export function createReranker(name = process.env.RAG_RERANKER) {
+    const selected = (name || 'none').toLowerCase();
+
+    switch (selected) {
+        case 'none':
+            return null;
+        case 'gemini':
+        case 'llm':
+            return new GeminiReranker();
+        case 'lexical':
+        case 'local':
+            return new LexicalOverlapReranker();
+        default:
+            throw new Error(`Unknown reranker: ${selected}`);
+    }
+}
@@ -1,5 +1,8 @@
 // backend/scripts/cache-status.js
+import fs from 'fs';
+import path from 'path';
 import { CacheManager } from '../cache-manager.js';
+import { EMBEDDINGS_CACHE_VERSION, detectCacheVersion, decodeVectors } from '../embeddings-cache.js';
 
 const cacheManager = new CacheManager();
 const isValid = cacheManager.isCacheValid();
@@ -15,4 +18,58 @@ if (info) {
     console.log(`🔢 Signature: ${info.signature}`);
 } else {
     console.log("❌ No cache information found");
-}
\ No newline at end of file
+}
+
+const formatBytes = (bytes) => `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+
+// Heap plus typed-array memory held after a load (run with --expose-gc for
+// stable numbers; npm run cache:status does)
+function measure(load) {
+    global.gc?.();
+    const before = process.memoryUsage();
+    const start = process.hrtime.bigint();
+    const result = load();
+    const ms = Number(process.hrtime.bigint() - start) / 1e6;
+    global.gc?.();
+    const after = process.memoryUsage();
+    const bytes = (after.heapUsed - before.heapUsed) + (after.arrayBuffers - before.arrayBuffers);
+    return { result, ms, bytes };
+}
+
+/**
+ * Startup cost of the embeddings cache: the binary vector file as loaded now,
+ * against the same vectors as JSON number arrays (the format before v3)
+ */
+function reportLoadCost() {
+    if (!fs.existsSync(cacheManager.cachePath)) {
+        console.log("\n📦 No embeddings cache to measure");
+        return;
+    }
+    const manifest = JSON.parse(fs.readFileSync(cacheManager.cachePath, 'utf8'));
+    const version = detectCacheVersion(manifest);
+    if (version !== EMBEDDINGS_CACHE_VERSION) {
+        console.log(`\n📦 Embeddings cache uses schema v${version}; the server converts it to v${EMBEDDINGS_CACHE_VERSION} on its next start`);
+        return;
+    }
+
+    const { vectorFile } = manifest;
+    const vectorPath = path.join(path.dirname(cacheManager.cachePath), vectorFile.file);
+    console.log(`\n📦 Embeddings: ${vectorFile.count} vectors × ${vectorFile.dimension}d, ${vectorFile.encoding}`);
+
+    const binary = measure(() => {
+        const loaded = JSON.parse(fs.readFileSync(cacheManager.cachePath, 'utf8'));
+        return decodeVectors(fs.readFileSync(vectorPath), loaded.keys, loaded.vectorFile);
+    });
+    const binarySize = fs.statSync(cacheManager.cachePath).size + fs.statSync(vectorPath).size;
+
+    const legacyJson = JSON.stringify({ vectors: Object.fromEntries([...binary.result].map(([key, vector]) => [key, Array.from(vector)])) });
+    const json = measure(() => new Map(Object.entries(JSON.parse(legacyJson).vectors)));
+
+    console.log(`   Before (JSON arrays):  ${formatBytes(Buffer.byteLength(legacyJson))} on disk, ${json.ms.toFixed(1)} ms to load, ${formatBytes(json.bytes)} in memory`);
+    console.log(`   After (binary):        ${formatBytes(binarySize)} on disk, ${binary.ms.toFixed(1)} ms to load, ${formatBytes(binary.bytes)} in memory`);
+    if (!global.gc) {
+        console.log("   (memory figures are approximate without --expose-gc)");
+    }
+}
+
+reportLoadCost();
@@ -0,0 +1,161 @@
+// backend/scripts/eval-retrieval.js
+// Measure retrieval quality against a golden question set:
+//   npm run eval:retrieval -- [--golden file] [--out results.json] [--baseline previous.json]
+//                             [--provider local|gemini] [--rerank name] [--top-k 10]
+// Uses the offline embedder and no cache files by default, so two runs over
+// the same knowledge base and code give identical results.
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { MultiFolderSemanticRAG } from '../rag-system.js';
+import { createEmbeddingProvider } from '../embedding-providers.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const RECALL_AT = [1, 3, 5, 10];
+
+function parseArgs(argv) {
+    const args = {
+        golden: path.join(__dirname, '..', 'eval', 'golden-retrieval.json'),
+        out: null,
+        baseline: null,
+        provider: 'local',
+        rerank: 'none',
+        topK: Math.max(...RECALL_AT)
+    };
+    for (let i = 0; i < argv.length; i++) {
+        const value = argv[i + 1];
+        switch (argv[i]) {
+            case '--golden': args.golden = value; i++; break;
+            case '--out': args.out = value; i++; break;
+            case '--baseline': args.baseline = value; i++; break;
+            case '--provider': args.provider = value; i++; break;
+            case '--rerank': args.rerank = value; i++; break;
+            case '--top-k': args.topK = parseInt(value); i++; break;
+            default:
+                console.error(`❌ Unknown option ${argv[i]}`);
+                process.exit(1);
+        }
+    }
+    return args;
+}
+
+/**
+ * A result answers a question when it comes from an expected file and, if
+ * the expectation names a path, sits at or under that path
+ */
+function matchesExpected(result, expected) {
+    return expected.some(answer =>
+        result.fileName === answer.fileName && (!answer.path || result.path.startsWith(answer.path))
+    );
+}
+
+function loadGolden(goldenPath) {
+    const golden = JSON.parse(fs.readFileSync(goldenPath, 'utf8'));
+    if (!Array.isArray(golden) || golden.length === 0) {
+        throw new Error(`${goldenPath} must contain a non-empty array of questions`);
+    }
+    golden.forEach((entry, index) => {
+        if (!entry.id || !entry.question || !Array.isArray(entry.expected) || entry.expected.length === 0) {
+            throw new Error(`Golden entry ${index} needs id, question and a non-empty expected list`);
+        }
+    });
+    return golden;
+}
+
+async function evaluate(rag, golden, { topK, rerank }) {
+    const questions = [];
+    for (const entry of golden) {
+        const results = await rag.search(entry.question, topK, { rerank });
+        const position = results.findIndex(result => matchesExpected(result, entry.expected));
+        questions.push({
+            id: entry.id,
+            question: entry.question,
+            rank: position === -1 ? null : position + 1,
+            top: results.slice(0, 3).map(result => ({
+                fileName: result.fileName,
+                path: result.path,
+                score: Number(result.score.toFixed(4))
+            }))
+        });
+    }
+
+    const recall = {};
+    for (const k of RECALL_AT.filter(k => k <= topK)) {
+        const hits = questions.filter(question => question.rank !== null && question.rank <= k).length;
+        recall[`@${k}`] = Number((hits / questions.length).toFixed(4));
+    }
+    const mrr = questions.reduce((sum, question) => sum + (question.rank ? 1 / question.rank : 0), 0) / questions.length;
+
+    return { summary: { questions: questions.length, recall, mrr: Number(mrr.toFixed(4)) }, questions };
+}
+
+function printReport(report, baseline) {
+    const { summary, questions } = report;
+    const delta = (current, previous) => {
+        if (previous === undefined) return '';
+        const change = current - previous;
+        return change === 0 ? '  (=)' : `  (${change > 0 ? '+' : ''}${change.toFixed(4)})`;
+    };
+
+    console.log(`\n📊 ${summary.questions} questions, ${report.config.provider}/${report.config.model}, reranker ${report.config.rerank}`);
+    for (const [k, value] of Object.entries(summary.recall)) {
+        console.log(`   recall${k}: ${value.toFixed(4)}${delta(value, baseline?.summary.recall[k])}`);
+    }
+    console.log(`   MRR:       ${summary.mrr.toFixed(4)}${delta(summary.mrr, baseline?.summary.mrr)}`);
+
+    const misses = questions.filter(question => question.rank === null);
+    if (misses.length > 0) {
+        console.log(`\n❌ Missed in top ${report.config.topK}:`);
+        for (const miss of misses) {
+            console.log(`   [${miss.id}] ${miss.question}`);
+            for (const result of miss.top) {
+                console.log(`      got ${result.path} (${result.score})`);
+            }
+        }
+    }
+
+    if (baseline) {
+        const previous = new Map(baseline.questions.map(question => [question.id, question.rank]));
+        const changed = questions.filter(question => previous.has(question.id) && previous.get(question.id) !== question.rank);
+        if (changed.length > 0) {
+            console.log("\n🔀 Rank changes against baseline:");
+            for (const question of changed) {
+                console.log(`   [${question.id}] ${previous.get(question.id) ?? 'miss'} -> ${question.rank ?? 'miss'}`);
+            }
+        }
+    }
+}
+
+const args = parseArgs(process.argv.slice(2));
+try {
+    const golden = loadGolden(args.golden);
+    const baseline = args.baseline ? JSON.parse(fs.readFileSync(args.baseline, 'utf8')) : null;
+
+    const embeddingProvider = createEmbeddingProvider(args.provider);
+    const rag = new MultiFolderSemanticRAG({
+        embeddingProvider,
+        reranker: null,
+        // The offline embedder is cheap to rerun; remote providers reuse the server's cache
+        embeddingsCachePath: embeddingProvider.isLocal ? null : undefined,
+        vectorIndexPath: null,
+        quiet: true
+    });
+    await rag.initializeInMemory();
+
+    const { provider, model, dimension } = embeddingProvider.describe();
+    const report = {
+        config: { provider, model, dimension, rerank: args.rerank, topK: args.topK, golden: path.basename(args.golden), chunks: rag.chunks.length },
+        ...(await evaluate(rag, golden, args))
+    };
+    printReport(report, baseline);
+
+    if (args.out) {
+        fs.writeFileSync(args.out, `${JSON.stringify(report, null, 2)}\n`);
+        console.log(`\n💾 Results saved to ${args.out}`);
+    }
+} catch (error) {
+    console.error("❌ Retrieval evaluation failed:", error.message);
+    process.exit(1);
+}
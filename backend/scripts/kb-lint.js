@@ -0,0 +1,218 @@
+// backend/scripts/kb-lint.js
+// Validate knowledge-base files before deploy: npm run kb:lint
+// Exits non-zero on errors and, with --strict (which the npm script
+// passes), on warnings such as chunks that are too short or too long.
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { KnowledgeBaseChunker, CHUNKING_CONFIG } from '../kb-chunker.js';
+import { createEmbeddingProvider } from '../embedding-providers.js';
+import { TextDocument } from '../document-loaders.js';
+import { parseLanguageKey } from '../language.js';
+import { estimateTokens, splitIntoWindows } from '../chunk-splitter.js';
+import { getSchemaForFile } from '../kb-schemas.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const knowledgeBasePath = path.join(__dirname, '..', 'knowledge-base');
+const strict = process.argv.includes('--strict');
+
+const MIN_CHUNK_TOKENS = 4;
+const MAX_CHUNK_TOKENS = CHUNKING_CONFIG.maxTokens * 4;
+const SECTION_NUMBER = /^\d+(\.\d+)+$/;
+
+const issues = [];
+const report = (file, severity, rule, where, message) => issues.push({ file, severity, rule, where, message });
+
+/**
+ * Duplicate keys inside one JSON object. JSON.parse silently keeps the last
+ * one, so this scans the raw text.
+ */
+function findDuplicateJsonKeys(content) {
+    const duplicates = [];
+    const stack = [];
+    let line = 1;
+
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+        if (char === '\n') line++;
+        else if (char === '{') stack.push(new Set());
+        else if (char === '[') stack.push(null);
+        else if (char === '}' || char === ']') stack.pop();
+        else if (char === '"') {
+            let end = i + 1;
+            while (end < content.length && content[end] !== '"') {
+                end += content[end] === '\\' ? 2 : 1;
+            }
+            const key = content.slice(i + 1, end);
+            let next = end + 1;
+            while (/\s/.test(content[next] || '')) next++;
+
+            const keys = stack[stack.length - 1];
+            if (content[next] === ':' && keys) {
+                if (keys.has(key)) duplicates.push({ key, line });
+                keys.add(key);
+            }
+            line += (content.slice(i, end).match(/\n/g) || []).length;
+            i = end;
+        }
+    }
+    return duplicates;
+}
+
+/**
+ * Walk a parsed file for empty strings, repeated section numbers and
+ * Tagalog fields without an English counterpart
+ */
+function checkStructure(fileKey, data) {
+    const sections = new Map();
+
+    const walk = (value, where) => {
+        if (typeof value === 'string') {
+            if (value.trim() === '') report(fileKey, 'error', 'empty-string', where, 'empty string');
+            return;
+        }
+        if (Array.isArray(value)) {
+            value.forEach((item, index) => walk(item, `${where}[${index}]`));
+            return;
+        }
+        if (typeof value !== 'object' || value === null) return;
+
+        const keys = Object.keys(value);
+        for (const key of keys) {
+            const tagged = parseLanguageKey(key);
+            if (tagged?.language !== 'tl') continue;
+            const hasCounterpart = keys.some(other => {
+                const otherTag = parseLanguageKey(other);
+                return otherTag ? otherTag.language === 'en' && otherTag.baseKey === tagged.baseKey : other === tagged.baseKey && other !== '';
+            });
+            if (!hasCounterpart) {
+                report(fileKey, 'error', 'orphan-tagalog', where ? `${where}.${key}` : key, `no English counterpart for "${key}"`);
+            }
+        }
+
+        for (const [key, child] of Object.entries(value)) {
+            const childWhere = where ? `${where}.${key}` : key;
+            if (SECTION_NUMBER.test(key)) {
+                if (sections.has(key)) {
+                    report(fileKey, 'error', 'duplicate-section', childWhere, `section ${key} also defined at ${sections.get(key)}`);
+                } else {
+                    sections.set(key, childWhere);
+                }
+            }
+            walk(child, childWhere);
+        }
+    };
+
+    walk(data, '');
+}
+
+function getAtPath(data, dottedPath) {
+    return dottedPath.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), data);
+}
+
+function checkSchema(fileKey, data, schema) {
+    for (const required of schema.required || []) {
+        const alternatives = Array.isArray(required) ? required : [required];
+        if (!alternatives.some(key => data[key] !== undefined)) {
+            report(fileKey, 'error', 'schema', '', `missing top-level key ${alternatives.join(' or ')} (schema: ${schema.folder || 'default'})`);
+        }
+    }
+
+    for (const [listPath, fields] of Object.entries(schema.lists || {})) {
+        const list = getAtPath(data, listPath);
+        if (list === undefined) continue;
+        if (!Array.isArray(list)) {
+            report(fileKey, 'error', 'schema', listPath, 'expected an array');
+            continue;
+        }
+        list.forEach((item, index) => {
+            // Plain string items are fine (e.g. a list of tool names)
+            if (typeof item === 'string') return;
+            for (const field of fields) {
+                if (typeof item?.[field] !== 'string' || item[field].trim() === '') {
+                    report(fileKey, 'error', 'schema', `${listPath}[${index}]`, `missing "${field}"`);
+                }
+            }
+        });
+    }
+}
+
+/**
+ * Chunk with the server's chunker (without window splitting) and flag
+ * chunks that are too small to be useful or big enough to need many windows
+ */
+function checkChunks(knowledgeBase, chunker, maxChars) {
+    const windowOptions = { ...CHUNKING_CONFIG, maxChars };
+    for (const [fileKey, chunks] of chunker.extractChunksByFile(knowledgeBase)) {
+        const schema = getSchemaForFile(fileKey);
+        const minTokens = schema.minChunkTokens ?? MIN_CHUNK_TOKENS;
+        const maxTokens = schema.maxChunkTokens ?? MAX_CHUNK_TOKENS;
+
+        for (const chunk of chunks) {
+            const where = chunk.path.slice(fileKey.length).replace(/^\./, '');
+            const tokens = estimateTokens(chunk.text);
+            if (tokens < minTokens) {
+                report(fileKey, 'warning', 'chunk-too-short', where, `${tokens} tokens: "${chunk.text}"`);
+            } else if (tokens > maxTokens) {
+                const windows = splitIntoWindows(chunk.text, windowOptions).length;
+                report(fileKey, 'warning', 'chunk-too-long', where, `${tokens} tokens (limit ${maxTokens}), split into ${windows} windows`);
+            }
+        }
+    }
+}
+
+// Load with the same chunker the server uses
+const maxChars = createEmbeddingProvider().maxChars || Infinity;
+const chunker = new KnowledgeBaseChunker({ knowledgeBasePath, maxTokens: Number.MAX_SAFE_INTEGER, maxChars: Infinity, quiet: true });
+if (!fs.existsSync(knowledgeBasePath)) {
+    console.error(`❌ Knowledge base not found at ${knowledgeBasePath}`);
+    process.exit(1);
+}
+const knowledgeBase = chunker.loadKnowledgeBase();
+
+for (const { file, error } of chunker.loadErrors) {
+    report(file, 'error', 'parse', '', error);
+}
+
+for (const [fileKey, data] of Object.entries(knowledgeBase)) {
+    if (data instanceof TextDocument) continue;
+
+    const jsonPath = path.join(knowledgeBasePath, `${fileKey}.json`);
+    if (fs.existsSync(jsonPath)) {
+        for (const { key, line } of findDuplicateJsonKeys(fs.readFileSync(jsonPath, 'utf8'))) {
+            report(fileKey, 'error', 'duplicate-key', `line ${line}`, `key "${key}" repeated in the same object`);
+        }
+    }
+    if (typeof data !== 'object' || data === null) {
+        report(fileKey, 'error', 'schema', '', 'file must contain an object');
+        continue;
+    }
+
+    checkSchema(fileKey, data, getSchemaForFile(fileKey));
+    checkStructure(fileKey, data);
+}
+checkChunks(knowledgeBase, chunker, maxChars);
+
+// Report
+const byFile = new Map();
+for (const issue of issues) {
+    if (!byFile.has(issue.file)) byFile.set(issue.file, []);
+    byFile.get(issue.file).push(issue);
+}
+for (const [file, fileIssues] of byFile) {
+    console.log(`\n📄 ${file}`);
+    for (const issue of fileIssues) {
+        const icon = issue.severity === 'error' ? '❌' : '⚠️';
+        console.log(`   ${icon} [${issue.rule}] ${issue.where ? `${issue.where}: ` : ''}${issue.message}`);
+    }
+}
+
+const errors = issues.filter(issue => issue.severity === 'error').length;
+const warnings = issues.length - errors;
+console.log(`\n📊 ${Object.keys(knowledgeBase).length} files checked: ${errors} errors, ${warnings} warnings`);
+
+if (errors > 0 || (strict && warnings > 0)) {
+    process.exit(1);
+}
+console.log("✅ Knowledge base looks good");
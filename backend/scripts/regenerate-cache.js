@@ -2,228 +2,85 @@
 import dotenv from 'dotenv';
 dotenv.config();
 
-// We need to import our RAG system - we'll do this differently
-import { fileURLToPath } from 'url';
-import path from 'path';
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-// Import the cache manager
 import { CacheManager } from '../cache-manager.js';
+import { MultiFolderSemanticRAG } from '../rag-system.js';
+import { ExternalKnowledge } from '../connectors.js';
 
-// We'll create a simple RAG system just for cache generation
-class SimpleRAG {
-    constructor() {
-        this.knowledgeBase = {};
-        this.chunks = [];
-        this.embeddings = [];
-        this.embeddingsCachePath = path.join(__dirname, '../embeddings-cache.json');
-        this.knowledgeBasePath = path.join(__dirname, '../knowledge-base');
-    }
-
-    // Simplified version of your loadKnowledgeBase
-    loadKnowledgeBase() {
-        const knowledgeBase = {};
-        
-        const loadFolderRecursively = (currentPath, relativePath = '') => {
-            try {
-                const items = fs.readdirSync(currentPath);
-                
-                for (const item of items) {
-                    const itemPath = path.join(currentPath, item);
-                    const itemRelativePath = relativePath ? `${relativePath}/${item}` : item;
-                    const stats = fs.statSync(itemPath);
-                    
-                    if (stats.isDirectory()) {
-                        loadFolderRecursively(itemPath, itemRelativePath);
-                    } else if (item.endsWith('.json')) {
-                        try {
-                            const data = fs.readFileSync(itemPath, 'utf8');
-                            const parsed = JSON.parse(data);
-                            const fileKey = itemRelativePath.replace(/\.json$/, '');
-                            knowledgeBase[fileKey] = parsed;
-                            console.log(`✅ Loaded: ${fileKey}`);
-                        } catch (error) {
-                            console.error(`❌ Error loading ${itemRelativePath}:`, error.message);
-                        }
-                    }
-                }
-            } catch (error) {
-                console.error(`❌ Error reading directory ${currentPath}:`, error.message);
-            }
-        };
-
-        if (fs.existsSync(this.knowledgeBasePath)) {
-            loadFolderRecursively(this.knowledgeBasePath);
-        }
-        
-        return knowledgeBase;
-    }
-
-    // Simplified chunk extraction
-    extractChunks(obj, path = '', chunks = [], parentContext = '', isRoot = true) {
-        if (isRoot) {
-            for (const [filePath, fileContent] of Object.entries(obj)) {
-                this.extractChunks(fileContent, filePath, chunks, filePath, false);
-            }
-            return chunks;
-        }
-
-        for (const [key, value] of Object.entries(obj)) {
-            const currentPath = path ? `${path}.${key}` : key;
-            
-            if (typeof value === 'string' && value.length > 15) {
-                chunks.push({
-                    text: value,
-                    path: currentPath,
-                    context: key
-                });
-            } else if (Array.isArray(value)) {
-                value.forEach((item, index) => {
-                    if (typeof item === 'string' && item.length > 10) {
-                        chunks.push({
-                            text: item,
-                            path: `${currentPath}[${index}]`,
-                            context: key
-                        });
-                    }
-                });
-            } else if (typeof value === 'object' && value !== null) {
-                this.extractChunks(value, currentPath, chunks, key, false);
-            }
-        }
-        
-        return chunks;
-    }
-
-    // Embedding generation
-    async getEmbedding(text) {
-        try {
-            const truncatedText = text.length > 2000 ? text.substring(0, 2000) : text;
-            
-            const response = await fetch(
-                `https://generativelanguage.googleapis.com/v1beta/models/text-embedding-004:embedContent?key=${process.env.GEMINI_API_KEY}`,
-                {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({
-                        model: "models/text-embedding-004",
-                        content: { parts: [{ text: truncatedText }] }
-                    })
-                }
-            );
-            
-            if (!response.ok) {
-                throw new Error(`Embedding API error: ${response.status}`);
-            }
-            
-            const data = await response.json();
-            return data.embedding.values;
-        } catch (error) {
-            console.error("Error generating embedding:", error.message);
-            return new Array(768).fill(0);
-        }
-    }
-
-    async generateAllEmbeddings() {
-        console.log("🔄 Generating embeddings for all chunks...");
-        
-        if (!process.env.GEMINI_API_KEY) {
-            throw new Error("GEMINI_API_KEY not set in environment");
-        }
-        
-        const batchSize = 3; // Smaller batches for reliability
-        for (let i = 0; i < this.chunks.length; i += batchSize) {
-            const batch = this.chunks.slice(i, i + batchSize);
-            const batchEmbeddings = await Promise.all(
-                batch.map(chunk => this.getEmbedding(chunk.text))
-            );
-            this.embeddings.push(...batchEmbeddings);
-            
-            const progress = Math.min(i + batchSize, this.chunks.length);
-            const percentage = ((progress / this.chunks.length) * 100).toFixed(1);
-            console.log(`📊 Progress: ${progress}/${this.chunks.length} (${percentage}%)`);
-            
-            // Add delay to avoid rate limiting
-            if (i + batchSize < this.chunks.length) {
-                await new Promise(resolve => setTimeout(resolve, 500));
-            }
-        }
-        
-        console.log("✅ All embeddings generated!");
-    }
-
-    async saveEmbeddingsCache() {
-        try {
-            const cache = {
-                chunks: this.chunks,
-                embeddings: this.embeddings,
-                timestamp: new Date().toISOString()
-            };
-            fs.writeFileSync(this.embeddingsCachePath, JSON.stringify(cache));
-            console.log("💾 Embeddings cached successfully!");
-        } catch (error) {
-            console.warn("⚠️ Could not save embeddings cache:", error.message);
-            throw error;
-        }
-    }
-}
-
-import fs from 'fs';
-
+// Uses the server's own RAG class (and so the server's chunker), so the cache
+// it writes is exactly what server.js loads
 async function regenerateCache() {
     console.log("🚀 Starting manual cache regeneration...");
     const startTime = Date.now();
-    
+
     try {
         // Initialize systems
-        const ragSystem = new SimpleRAG();
+        const ragSystem = new MultiFolderSemanticRAG({ reranker: null, vectorIndexPath: null, quiet: true });
         const cacheManager = new CacheManager();
-        
+
+        console.log("🔌 Loading external knowledge...");
+        ragSystem.externalDocuments = await new ExternalKnowledge().load();
+
         console.log("📁 Loading knowledge base...");
         ragSystem.knowledgeBase = ragSystem.loadKnowledgeBase();
-        
+
         if (Object.keys(ragSystem.knowledgeBase).length === 0) {
             throw new Error("No knowledge base files found!");
         }
-        
+
         console.log(`✅ Loaded ${Object.keys(ragSystem.knowledgeBase).length} knowledge base files`);
-        
+
         // Extract chunks
         console.log("🔧 Extracting chunks from knowledge base...");
-        ragSystem.chunks = ragSystem.extractChunks(ragSystem.knowledgeBase);
+        ragSystem.chunksByFile = ragSystem.extractChunksByFile(ragSystem.knowledgeBase);
+        ragSystem.chunks = [...ragSystem.chunksByFile.values()].flat();
         console.log(`📚 Extracted ${ragSystem.chunks.length} text chunks`);
-        
+
         if (ragSystem.chunks.length === 0) {
             throw new Error("No chunks extracted from knowledge base!");
         }
-        
-        // Generate embeddings
-        console.log("🔄 Generating embeddings (this may take a while)...");
-        await ragSystem.generateAllEmbeddings();
-        
+
+        // Generate embeddings for every chunk from scratch
+        console.log(`🔄 Generating embeddings with ${ragSystem.embeddingProvider.name} (this may take a while)...`);
+        ragSystem.vectorStore = new Map();
+        const embeddings = new Array(ragSystem.chunks.length).fill(null);
+        const failed = await ragSystem.embedMissing(ragSystem.chunks, embeddings, ragSystem.chunks.map((chunk, index) => index));
+        ragSystem.embeddings = embeddings;
+
+        // Never write a cache the server would have to work around
+        const cache = ragSystem.buildEmbeddingsCache();
+        const problems = ragSystem.checkEmbeddingsCache(cache);
+        if (failed > 0 || problems.length > 0) {
+            throw new Error(`Refusing to write an incompatible cache: ${[
+                ...(failed > 0 ? [`${failed} embeddings failed`] : []),
+                ...problems
+            ].join('; ')}`);
+        }
+
         // Save cache
         console.log("💾 Saving cache...");
-        await ragSystem.saveEmbeddingsCache();
-        
+        ragSystem.writeEmbeddingsCache(cache);
+
         // Update cache info
         const signature = cacheManager.generateCacheSignature();
-        cacheManager.saveCacheInfo(signature);
-        
+        cacheManager.saveCacheInfo(signature, {
+            embeddingStats: { reused: 0, recomputed: ragSystem.chunks.length, failed: 0, pruned: 0, updatedAt: new Date().toISOString() }
+        });
+
         const endTime = Date.now();
         const duration = (endTime - startTime) / 1000;
-        
+
         console.log("🎉 Cache regeneration complete!");
         console.log(`⏱️  Duration: ${duration.toFixed(2)} seconds`);
         console.log(`📊 Chunks: ${ragSystem.chunks.length}`);
-        console.log(`🔢 Embeddings: ${ragSystem.embeddings.length}`);
+        console.log(`🔢 Embeddings: ${ragSystem.vectorStore.size} (${ragSystem.vectorEncoding})`);
+        console.log(`🧩 Chunker: v${cache.chunker.version}, fingerprint ${cache.chunker.fingerprint}`);
         console.log(`📁 Files processed: ${signature.fileCount}`);
-        
+
     } catch (error) {
-        console.error("❌ Cache regeneration failed:", error);
+        console.error("❌ Cache regeneration failed:", error.message);
         process.exit(1);
     }
 }
 
 // Run the regeneration
-regenerateCache();
\ No newline at end of file
+regenerateCache();
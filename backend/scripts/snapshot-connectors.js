@@ -0,0 +1,18 @@
+// backend/scripts/snapshot-connectors.js
+import { createConnectors } from '../connectors.js';
+
+// Rewrite each connector's offline snapshot from the live service
+let failed = false;
+for (const connector of createConnectors()) {
+    try {
+        const { path, documents } = await connector.saveSnapshot();
+        console.log(`✅ ${connector.name}: ${documents} documents -> ${path}`);
+    } catch (error) {
+        console.error(`❌ ${connector.name}: ${error.message}`);
+        failed = true;
+    }
+}
+
+if (failed) {
+    process.exit(1);
+}
@@ -0,0 +1,71 @@
+// backend/search-filters.js
+
+/**
+ * Metadata filters for search. A filter expression looks like
+ *   { source: 'hr-knowledge', file: ['engage-phase', 'onboard-phase'],
+ *     folder: 'hr-knowledge/leaders-playbook', path: 'hr-knowledge/code-of-conduct/code-of-conduct.section_1',
+ *     exclude: { source: 'company-general' } }
+ * Every field takes a string or an array of strings. A chunk passes when it
+ * matches at least one value of every included field and no excluded value.
+ */
+export const FILTER_FIELDS = {
+    source: (chunk, value) => chunk.source === value,
+    file: (chunk, value) => chunk.fileName === value,
+    folder: (chunk, value) => chunk.path.startsWith(`${value.replace(/\/+$/, '')}/`),
+    path: (chunk, value) => chunk.path.startsWith(value)
+};
+
+export class FilterError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'FilterError';
+    }
+}
+
+function normalizeClause(clause, label) {
+    if (clause === undefined || clause === null) return {};
+    if (typeof clause !== 'object' || Array.isArray(clause)) {
+        throw new FilterError(`${label} must be an object`);
+    }
+
+    const normalized = {};
+    for (const [field, value] of Object.entries(clause)) {
+        if (field === 'exclude' && label === 'filters') continue;
+        if (!FILTER_FIELDS[field]) {
+            throw new FilterError(`Unknown filter field "${field}" (use ${Object.keys(FILTER_FIELDS).join(', ')})`);
+        }
+        const values = (Array.isArray(value) ? value : [value]).filter(v => v !== undefined && v !== null && v !== '');
+        if (values.some(v => typeof v !== 'string')) {
+            throw new FilterError(`${label}.${field} must be a string or an array of strings`);
+        }
+        if (values.length > 0) normalized[field] = values;
+    }
+    return normalized;
+}
+
+/**
+ * Validate a request's filter expression. Returns { include, exclude }, or
+ * null when nothing is filtered. Throws FilterError on malformed input.
+ */
+export function parseFilters(raw) {
+    if (raw === undefined || raw === null) return null;
+
+    const include = normalizeClause(raw, 'filters');
+    const exclude = normalizeClause(raw.exclude, 'filters.exclude');
+    if (Object.keys(include).length === 0 && Object.keys(exclude).length === 0) {
+        return null;
+    }
+    return { include, exclude };
+}
+
+export function matchesFilters(chunk, filters) {
+    if (!filters) return true;
+
+    for (const [field, values] of Object.entries(filters.include)) {
+        if (!values.some(value => FILTER_FIELDS[field](chunk, value))) return false;
+    }
+    for (const [field, values] of Object.entries(filters.exclude)) {
+        if (values.some(value => FILTER_FIELDS[field](chunk, value))) return false;
+    }
+    return true;
+}
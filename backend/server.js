@@ -1,13 +1,24 @@
 // server.js - Enhanced with Universal Multi-Folder Semantic RAG and AIVEN MYSQL PERSISTENCE
 import express from "express";
-import fetch from "node-fetch";
 import dotenv from "dotenv";
 import path from "path";
 import { fileURLToPath } from "url";
 import cors from "cors";
-import fs from "fs";
 import https from 'https';
 import mysql from 'mysql2/promise'; // === NEW: Import MySQL driver ===
+import { CacheManager } from './cache-manager.js';
+import { KnowledgeBaseWatcher } from './kb-watcher.js';
+import { LANGUAGES, detectLanguage } from './language.js';
+import { createReranker } from './rerankers.js';
+import { generateContent } from './gemini-client.js';
+import { condenseQuestion, needsRewrite } from './query-rewriter.js';
+import { FilterError, parseFilters } from './search-filters.js';
+import { RETRIEVAL_CONFIG, FusionError, parseFusionOptions, DiversityError, parseDiversityOptions, TokenBudgetError, parseTokenBudget, MultiFolderSemanticRAG } from './rag-system.js';
+import { buildCitations, stripUnverifiedSources } from './citations.js';
+import { verifyGrounding } from './grounding.js';
+import { SemanticAnswerCache } from './answer-cache.js';
+import { ExternalKnowledge } from './connectors.js';
+import { IntentRouter } from './intent-router.js';
 
 dotenv.config();
 
@@ -126,154 +137,42 @@ const AI_BEHAVIOR = {
     useLists: true,
     boldImportant: true,
     sectionBreaks: true
-  },
-  
-  // Add Wikipedia integration (from your original file)
-  wikipediaIntegration: {
-    enabled: true,
-    allowedCompanyQuestions: [
-      "company history", "foundation", "founder", "about the company",
-      "background", "corporate information", "what is cdo foodsphere",
-      "when was cdo founded", "who founded cdo"
-    ]
   }
 };
 // === END OF AI_BEHAVIOR SECTION ===
 
 
-// =================================================================
-// START: WIKIPEDIA INTEGRATION (FIXED)
-// =================================================================
-
-// Wikipedia integration for company information
-const WIKIPEDIA_CONFIG = {
-  company: "CDO Foodsphere",
-  // This new URL fetches the full page content as plain text
-  wikipediaUrl: "https://en.wikipedia.org/w/api.php?action=query&format=json&prop=extracts&explaintext=true&titles=CDO_Foodsphere&origin=*",
-  fallbackInfo: {
-    name: "CDO Foodsphere, Inc.",
-    description: "A Philippine food manufacturing company",
-    industry: "Food processing"
-  }
-};
-
-// Simple in-memory cache for Wikipedia data
-let wikipediaCache = null;
-let cacheTimestamp = null;
-const CACHE_DURATION = 24 * 60 * 60 * 1000; // 24 hours
-
-// Function to fetch company info from Wikipedia with caching
-async function fetchCompanyInfo() {
-  // Check cache first
-  if (wikipediaCache && cacheTimestamp && (Date.now() - cacheTimestamp) < CACHE_DURATION) {
-    console.log("📦 Using cached Wikipedia data");
-    return wikipediaCache;
-  }
-  
-  try {
-    console.log("🌐 Fetching full page content from Wikipedia...");
-    
-    const response = await fetch(WIKIPEDIA_CONFIG.wikipediaUrl, {
-      headers: {
-        'User-Agent': 'CompanyAIAssistant/1.0'
-      }
-    });
-    
-    if (!response.ok) {
-      throw new Error(`Wikipedia API error: ${response.status}`);
-    }
-    
-    const data = await response.json();
-    
-    // This is the new parsing logic for the action=query API
-    const pages = data.query.pages;
-    const pageId = Object.keys(pages)[0]; // Get the first (and only) page ID
-    const pageData = pages[pageId];
-
-    const companyInfo = {
-      name: pageData.title || WIKIPEDIA_CONFIG.company,
-      // The full page content is in pageData.extract
-      description: pageData.extract || "A Philippine food manufacturing company", 
-      url: `https://en.wikipedia.org/wiki/${pageData.title.replace(/ /g, '_')}`,
-      timestamp: new Date().toISOString()
-    };
-    
-    // Update cache
-    wikipediaCache = companyInfo;
-    cacheTimestamp = Date.now();
-    
-    console.log("✅ Wikipedia data fetched and cached successfully");
-    return companyInfo;
-  } catch (error) {
-    console.warn("⚠️ Could not fetch Wikipedia info:", error.message);
-    return {
-      ...WIKIPEDIA_CONFIG.fallbackInfo,
-      timestamp: new Date().toISOString(),
-      source: "fallback"
-    };
-  }
-}
-
-// Enhanced context building with Wikipedia integration
-async function getEnhancedContext(question, ragSystem, topK = 20) {
-  const lowerQuestion = question.toLowerCase();
-  const companyKeywords = ['cdo', 'foodsphere', 'company', 'history', 'founder', 'about', 'background', 'corporate', 'when was', 'who founded', 'president'];
-  
-  const isCompanyQuestion = companyKeywords.some(keyword => 
-    lowerQuestion.includes(keyword)
-  );
-  
-  // 1. Get the RAG context from local files first
-  let ragContext = await ragSystem.getContext(question, topK);
-  let finalContext = "";
+// Build the prompt context from the index within the token budget. Company
+// facts from Wikipedia (and any other connector in connectors.js) are chunks
+// in the same index, so they are retrieved and packed like knowledge base files.
+async function getEnhancedContext(question, ragSystem, topK = 20, searchOptions = {}) {
+  const packed = await ragSystem.packContext(question, topK, searchOptions);
   
-  // 2. If it's a company question, ALWAYS fetch the Wikipedia content
-  if (isCompanyQuestion) {
-    console.log("🔍 Company question detected, fetching Wikipedia data...");
-    const companyInfo = await fetchCompanyInfo();
-    
-    // Format the Wikipedia context with our source-citation header
-    const wikipediaContext = `
-### Context from: Wikipedia - CDO Foodsphere
-Company Name: ${companyInfo.name}
-
----
-**Key Information (from Infobox):**
-* **Founder:** Corazon Dayro Ong, Jose Ong
-* **Founded:** June 25, 1975; 50 years ago
-* **President:** Jerome Ong
-* **Industry:** Food processing
-* **Products:** Hotdogs, sausages, canned tuna, canned meat, ham, bacon, delicacies, sweet preserves and processed cheeses
-* **Divisions:** Odyssey Foundation, Inc.
-* **Official Website:** https://www.cdo.com.ph/
----
-
-**Full Content (from Article Text):**
-${companyInfo.description}
-
-Source: ${companyInfo.url}
-Last Updated: ${companyInfo.timestamp}
-`;
-    // Prepend the Wikipedia context
-    finalContext = wikipediaContext;
-  }
+  const describe = (result) => ({
+    source: result.source,
+    fileName: result.fileName,
+    context: result.context,
+    path: result.path,
+    score: result.score,
+    tokens: result.tokens
+  });
+  const packing = {
+    budget: packed.budget,
+    used_tokens: packed.usedTokens,
+    included: packed.included.map(describe),
+    dropped: packed.dropped.map(describe)
+  };
   
-  // 3. Add the RAG context (from local files) if it was found
-  if (ragContext && !ragContext.includes("No relevant information")) {
-    finalContext += "\n" + ragContext;
-  }
+  // Everything that went into the prompt, for citations
+  const sources = packed.included;
   
-  // 4. Handle if no context was found from ANY source
-  if (!finalContext.trim()) {
-      return "No relevant information found in the knowledge base.";
+  if (!packed.context.trim()) {
+      return { context: "No relevant information found in the knowledge base.", packing, sources };
   }
   
-  return finalContext;
+  return { context: packed.context, packing, sources };
 }
 
-// =================================================================
-// END: WIKIPEDIA INTEGRATION (FIXED)
-// =================================================================
 
 // =================================================================
 // START: UPDATED PROMPT TEMPLATES (with structured output instructions)
@@ -318,6 +217,7 @@ INSTRUCTIONS:
 - In the "Sources" section, list the sources you used to answer the question, based on the "### Context from: [Source Name]" headers (e.g., "Wikipedia - CDO Foodsphere", "Code Of Conduct").
 - If the context does NOT contain sufficient information, respond with: "I'm sorry 😥, but I don't have information about that in my current knowledge base and company wiki. I can only provide information from official company documentation that has been made available to me." and do not list any sources.
 - Never make up information or provide details not present in the context
+{languageInstruction}
 
 RESPONSE:`,
 
@@ -345,163 +245,45 @@ INSTRUCTIONS:
 - If the answer isn't in the context, clearly state: "I don't have that information in my knowledge base."
 - Maintain accuracy and professionalism
 - Never speculate or provide information beyond your knowledge sources
+{languageInstruction}
 
-RESPONSE:`
-};
-
-// =================================================================
-// END: UPDATED PROMPT TEMPLATES
-// =================================================================
-
-
-// Cache Manager Class
-class CacheManager {
-    constructor(knowledgeBasePath = 'knowledge-base', cachePath = 'embeddings-cache.json') {
-        this.knowledgeBasePath = path.join(__dirname, knowledgeBasePath);
-        this.cachePath = path.join(__dirname, cachePath);
-        this.cacheInfoPath = path.join(__dirname, 'cache-info.json');
-    }
-
-    /**
-     * Generate cache signature based on knowledge base files
-     */
-    generateCacheSignature() {
-        try {
-            const signature = {
-                timestamp: new Date().toISOString(),
-                files: {},
-                totalSize: 0,
-                fileCount: 0
-            };
-
-            const scanDirectory = (dir, relativePath = '') => {
-                const items = fs.readdirSync(dir);
-                
-                for (const item of items) {
-                    const itemPath = path.join(dir, item);
-                    const itemRelativePath = relativePath ? `${relativePath}/${item}` : item;
-                    const stats = fs.statSync(itemPath);
-                    
-                    if (stats.isDirectory()) {
-                        scanDirectory(itemPath, itemRelativePath);
-                    } else if (item.endsWith('.json')) {
-                        const fileStats = fs.statSync(itemPath);
-                        const fileContent = fs.readFileSync(itemPath, 'utf8');
-                        const fileHash = this.simpleHash(fileContent);
-                        
-                        signature.files[itemRelativePath] = {
-                            size: fileStats.size,
-                            modified: stats.mtime.toISOString(),
-                            hash: fileHash
-                        };
-                        signature.totalSize += fileStats.size;
-                        signature.fileCount++;
-                    }
-                }
-            };
+RESPONSE:`,
 
-            if (fs.existsSync(this.knowledgeBasePath)) {
-                scanDirectory(this.knowledgeBasePath);
-            }
+  // Greetings, thanks and questions about the assistant itself; nothing is retrieved
+  smallTalk: `You are {name}, {role} at {company}.
 
-            signature.signature = this.simpleHash(JSON.stringify(signature.files));
-            return signature;
-        } catch (error) {
-            console.error('Error generating cache signature:', error);
-            return null;
-        }
-    }
+USER MESSAGE:
+{question}
 
-    /**
-     * Simple hash function for file content
-     */
-    simpleHash(content) {
-        let hash = 0;
-        for (let i = 0; i < content.length; i++) {
-            const char = content.charCodeAt(i);
-            hash = ((hash << 5) - hash) + char;
-            hash = hash & hash;
-            // eslint-disable-next-line
-        }
-        return hash.toString(36);
-    }
+INSTRUCTIONS:
+- Reply briefly and warmly, in one to three sentences.
+- If it fits, mention that you can answer questions about {company}, its stores and its HR policies.
+- Do not state any facts about the company; you have no context for this message.
+- Do not add a "Sources" section.
+{languageInstruction}
 
-    /**
-     * Check if cache is valid and up-to-date
-     */
-    isCacheValid() {
-        try {
-            if (!fs.existsSync(this.cachePath) || !fs.existsSync(this.cacheInfoPath)) {
-                return false;
-            }
+RESPONSE:`,
 
-            const cacheInfo = JSON.parse(fs.readFileSync(this.cacheInfoPath, 'utf8'));
-            const currentSignature = this.generateCacheSignature();
+  // Questions unrelated to the company; nothing is retrieved
+  outOfScope: `You are {name}, {role} at {company}.
 
-            if (!currentSignature || !cacheInfo.signature) {
-                return false;
-            }
+USER QUESTION:
+{question}
 
-            return currentSignature.signature === cacheInfo.signature;
-        } catch (error) {
-            console.error('Error checking cache validity:', error);
-            return false;
-        }
-    }
+INSTRUCTIONS:
+- Politely explain that you can only help with questions about {company}: its history, its stores and its HR policies 🙏.
+- Do not answer the question itself or provide information from outside the company knowledge base.
+- Suggest one or two things you can help with instead.
+- Do not add a "Sources" section.
+{languageInstruction}
 
-    /**
-     * Save cache information
-     */
-    saveCacheInfo(cacheSignature) {
-        try {
-            const info = {
-                ...cacheSignature,
-                cacheGenerated: new Date().toISOString(),
-                cacheSize: fs.existsSync(this.cachePath) ? fs.statSync(this.cachePath).size : 0
-            };
-            
-            fs.writeFileSync(this.cacheInfoPath, JSON.stringify(info, null, 2));
-            console.log('✅ Cache information saved');
-        } catch (error) {
-            console.error('Error saving cache info:', error);
-        }
-    }
+RESPONSE:`
+};
 
-    /**
-     * Get cache information
-     */
-    getCacheInfo() {
-        try {
-            if (fs.existsSync(this.cacheInfoPath)) {
-                return JSON.parse(fs.readFileSync(this.cacheInfoPath, 'utf8'));
-            }
-            return null;
-        } catch (error) {
-            console.error('Error reading cache info:', error);
-            return null;
-        }
-    }
+// =================================================================
+// END: UPDATED PROMPT TEMPLATES
+// =================================================================
 
-    /**
-     * Delete cache files
-     */
-    clearCache() {
-        try {
-            if (fs.existsSync(this.cachePath)) {
-                fs.unlinkSync(this.cachePath);
-                console.log('✅ Embeddings cache deleted');
-            }
-            if (fs.existsSync(this.cacheInfoPath)) {
-                fs.unlinkSync(this.cacheInfoPath);
-                console.log('✅ Cache info deleted');
-            }
-            return true;
-        } catch (error) {
-            console.error('Error clearing cache:', error);
-            return false;
-        }
-    }
-}
 
 // =================================================================
 // START: CORS FIX AND PERSISTENCE ROUTE SETUP
@@ -642,793 +424,51 @@ app.post("/chats/save", async (req, res) => { // === MODIFIED: Added async
 // =================================================================
 
 
-// Universal Multi-Folder Semantic RAG System
-class MultiFolderSemanticRAG {
-    constructor() {
-        this.knowledgeBase = {};
-        this.chunks = [];
-        this.embeddings = [];
-        this.isInitialized = false;
-        this.embeddingsCachePath = path.join(__dirname, 'embeddings-cache.json');
-        this.knowledgeBasePath = path.join(__dirname, 'knowledge-base');
-        console.log("🔧 Initializing Universal Multi-Folder Semantic RAG System...");
-    }
-    
-    /**
-     * Recursively load knowledge base from folder structure
-     */
-    loadKnowledgeBase() {
-        try {
-            const knowledgeBase = {};
-            
-            console.log("📂 Checking knowledge-base directory structure...");
-            console.log("📍 Root knowledge base path:", this.knowledgeBasePath);
-            
-            if (!fs.existsSync(this.knowledgeBasePath)) {
-                console.warn("⚠️ knowledge-base directory not found, creating it...");
-                fs.mkdirSync(this.knowledgeBasePath, { recursive: true });
-                // Create minimal sample to prevent crashes
-                const sampleData = {
-                    "welcome": {
-                        "message": "Welcome to CDO Foodsphere AI Assistant",
-                        "description": "This is the knowledge base for CDO Foodsphere, Inc."
-                    }
-                };
-                fs.writeFileSync(path.join(this.knowledgeBasePath, 'sample.json'), JSON.stringify(sampleData, null, 2));
-                knowledgeBase['sample'] = sampleData;
-                return knowledgeBase;
-            }
-            
-            // Load files from all subdirectories
-            this.loadFilesFromDirectory(this.knowledgeBasePath, knowledgeBase, '');
-            
-            console.log("✅ All knowledge base folders and files loaded successfully");
-            console.log("📊 Total categories in knowledge base:", Object.keys(knowledgeBase).length);
-            
-            return knowledgeBase;
-            
-        } catch (error) {
-            console.error("❌ Failed to load knowledge base:", error);
-            // Return minimal knowledge base to prevent crashes
-            return { 'error-fallback': { 'message': 'Knowledge base loading failed' } };
-        }
-    }
-    
-    /**
-     * Load files from directory recursively
-     */
-    loadFilesFromDirectory(dirPath, knowledgeBase, relativePath) {
-        try {
-            const items = fs.readdirSync(dirPath);
-            
-            for (const item of items) {
-                const itemPath = path.join(dirPath, item);
-                const itemRelativePath = relativePath ? `${relativePath}/${item}` : item;
-                const stats = fs.statSync(itemPath);
-                
-                if (stats.isDirectory()) {
-                    console.log(`📁 Loading directory: ${itemRelativePath}`);
-                    // Recursively load subdirectory
-                    this.loadFilesFromDirectory(itemPath, knowledgeBase, itemRelativePath);
-                } else if (item.endsWith('.json')) {
-                    this.loadJsonFile(itemPath, itemRelativePath, knowledgeBase);
-                }
-            }
-        } catch (error) {
-            console.error(`❌ Error reading directory ${dirPath}:`, error.message);
-        }
-    }
-    
-    /**
-     * Load individual JSON file
-     */
-    loadJsonFile(filePath, relativePath, knowledgeBase) {
-        try {
-            console.log(`📖 Reading file: ${relativePath}`);
-            
-            const data = fs.readFileSync(filePath, 'utf8');
-            const parsed = JSON.parse(data);
-            
-            // Use the relative path as the key to preserve folder structure
-            const fileKey = relativePath.replace(/\.json$/, '');
-            knowledgeBase[fileKey] = parsed;
-            
-            console.log(`✅ Loaded: ${fileKey} with ${Object.keys(parsed).length} top-level keys`);
-            
-            // Log first few keys to verify content
-            const firstKeys = Object.keys(parsed).slice(0, 3);
-            if (firstKeys.length > 0) {
-                console.log(`   Sample keys: ${firstKeys.join(', ')}`);
-            }
-            
-        } catch (error) {
-            console.error(`❌ Error loading ${relativePath}:`, error.message);
-        }
-    }
-
-    // =================================================================
-    // START: UPDATED UNIVERSAL CHUNKING LOGIC (with fileName)
-    // =================================================================
-
-    /**
-     * NEW HELPER: Find a title-like key in an object
-     */
-    _findContextTitle(obj) {
-        if (typeof obj !== 'object' || obj === null) return null;
-        
-        // Prioritize common title keys
-        const titleKeys = ['title', 'name', 'stage_name', 'provision_english', 'question', 'value'];
-        for (const key of titleKeys) {
-            if (typeof obj[key] === 'string' && obj[key].length > 0 && obj[key].length < 150) {
-                return obj[key];
-            }
-        }
-        
-        return null;
-    }
-
-    /**
-     * NEW HELPER: Format a "leaf" object into a single text chunk
-     */
-    _formatLeafObject(obj) {
-        let text = '';
-        // Prioritize specific keys to put them first
-        const priorityKeys = ['sn', 'question', 'title', 'name', 'value'];
-        
-        const sortedEntries = Object.entries(obj).sort(([keyA], [keyB]) => {
-            const indexA = priorityKeys.indexOf(keyA);
-            const indexB = priorityKeys.indexOf(keyB);
-            
-            if (indexA !== -1 && indexB !== -1) return indexA - indexB;
-            if (indexA !== -1) return -1;
-            if (indexB !== -1) return 1;
-            return 0;
-        });
-
-        for (const [key, value] of sortedEntries) {
-            if ((typeof value === 'string' && value.length > 0) || typeof value === 'number') {
-                // Format key, then add value
-                text += `${this.formatKeyAsTitle(key)}: ${value}\n`;
-            }
-            // We ignore nested objects/arrays in this simple formatter
-        }
-        return text.trim();
-    }
-    
-    /**
-     * NEW HELPER: Heuristic to decide if an object is a "leaf" (a semantic unit)
-     */
-    _isLeafObject(obj) {
-        if (typeof obj !== 'object' || obj === null || Array.isArray(obj)) {
-            return false;
-        }
-
-        let hasStrings = false;
-        
-        for (const value of Object.values(obj)) {
-            if (typeof value === 'object' && value !== null) {
-                // It contains another object, so it's NOT a leaf
-                return false; 
-            }
-            if (Array.isArray(value)) {
-                 // It contains an array, so it's NOT a leaf
-                 // This handles `tools_required: [...]` in atrract-phase
-                return false;
-            }
-            if (typeof value === 'string' && value.length > 0) {
-                hasStrings = true;
-            }
-        }
-        
-        // It's a leaf if it has strings and no nested objects/arrays
-        return hasStrings;
-    }
-
-    /**
-     * REVISED & UNIVERSAL CHUNKING SYSTEM
-     */
-    extractChunks() {
-        const chunks = [];
-        for (const [filePath, fileContent] of Object.entries(this.knowledgeBase)) {
-            const source = this.getSourceFromPath(filePath); // e.g., 'hr-knowledge'
-            const fileName = this.getFileNameFromPath(filePath); // e.g., 'code-of-conduct'
-            const fileContext = this.formatKeyAsTitle(fileName);
-            
-            // Pass fileName into the recursive function
-            this._recursiveExtract(fileContent, filePath, chunks, [fileContext], source, fileName);
-        }
-        
-        // Update aggregate chunk count for logging
-        this.aggregateChunksCount = chunks.filter(c => c.isAggregate).length;
-        
-        return chunks;
-    }
-
-    /**
-     * REVISED: Universal Recursive Chunking Function
-     * (Now includes fileName)
-     */
-    _recursiveExtract(item, path, chunks, contextStack, source, fileName) { 
-        
-        // Base Case 1: Item is a simple string
-        if (typeof item === 'string' && item.length > 2) {
-            chunks.push({
-                text: item,
-                path: path,
-                context: contextStack.join(' - '),
-                parentContext: contextStack.slice(0, -1).join(' - ') || 'General',
-                source: source,
-                fileName: fileName 
-            });
-            return;
-        }
-
-        // Base Case 2: Item is an Array
-        if (Array.isArray(item)) {
-            
-            if (item.length > 0) {
-                 const isListOfLeaves = item.every(el => 
-                     (typeof el === 'string' && el.length > 2) || 
-                     this._isLeafObject(el)
-                 );
-                 
-                 if (isListOfLeaves && item.length > 1) { 
-                     let aggregateText = `${contextStack[contextStack.length - 1] || 'List'}:\n\n`;
-                     
-                     item.forEach((el, idx) => {
-                         if (typeof el === 'string') {
-                             aggregateText += `${idx + 1}. ${el}\n\n`;
-                         } else {
-                             aggregateText += `${this._formatLeafObject(el)}\n---\n`;
-                         }
-                     });
-                     
-                     if(aggregateText.length > 20) {
-                        chunks.push({
-                            text: aggregateText,
-                            path: path,
-                            context: contextStack.join(' - '),
-                            parentContext: contextStack.slice(0, -1).join(' - ') || 'General',
-                            source: source,
-                            fileName: fileName,
-                            isAggregate: true 
-                        });
-                        return; 
-                     }
-                 }
-            }
-
-            item.forEach((element, index) => {
-                // Pass fileName down in recursion
-                this._recursiveExtract(element, `${path}[${index}]`, chunks, contextStack, source, fileName);
-            });
-            
-            return;
-        }
-
-        // Base Case 3: Item is not a processable type
-        if (typeof item !== 'object' || item === null) {
-            return;
-        }
-        
-        // --- Item is an Object ---
-
-        if (this._isLeafObject(item)) {
-            const formattedText = this._formatLeafObject(item);
-            chunks.push({
-                text: formattedText,
-                path: path,
-                context: contextStack.join(' - '),
-                parentContext: contextStack.slice(0, -1).join(' - ') || 'General',
-                source: source,
-                fileName: fileName 
-            });
-            return; 
-        }
-
-        // --- Item is a "Structural Object" ---
-        let newContextStack = [...contextStack];
-        const title = this._findContextTitle(item);
-        
-        if (title && title !== newContextStack[newContextStack.length - 1]) {
-            newContextStack.push(this.formatKeyAsTitle(title));
-        }
-        
-        let localStrings = {};
-        for (const [key, value] of Object.entries(item)) {
-            if (typeof value === 'string' && value.length > 0) {
-                 localStrings[key] = value;
-            }
-        }
-        
-        if (Object.values(localStrings).join("").length > 10) {
-            const partialChunkText = this._formatLeafObject(localStrings);
-            chunks.push({
-                text: partialChunkText,
-                path: path,
-                context: newContextStack.join(' - '),
-                parentContext: newContextStack.slice(0, -1).join(' - ') || 'General',
-                source: source,
-                fileName: fileName 
-            });
-        }
-        
-        for (const [key, value] of Object.entries(item)) {
-            if (typeof value === 'object' && value !== null) {
-                let childContextStack = [...newContextStack];
-                if (!title) {
-                    const keyTitle = this.formatKeyAsTitle(key);
-                    if (keyTitle !== childContextStack[childContextStack.length - 1]) {
-                         childContextStack.push(keyTitle);
-                    }
-                }
-                // Pass fileName down in recursion
-                this._recursiveExtract(value, `${path}.${key}`, chunks, childContextStack, source, fileName);
-            }
-        }
-    }
-
-    // =================================================================
-    // END: UPDATED UNIVERSAL CHUNKING LOGIC
-    // =================================================================
-
-
-    /**
-     * Helper methods
-     */
-    getFileNameFromPath(filePath) {
-        const parts = filePath.split('/');
-        return parts[parts.length - 1] || filePath;
-    }
-
-    getLastPathPart(path) {
-        const parts = path.split('/');
-        return parts[parts.length - 1] || path;
-    }
-
-    getSourceFromPath(path) {
-        const parts = path.split('/');
-        return parts[0] || 'general';
-    }
-
-    formatKeyAsTitle(key) {
-        return key
-            .replace(/_/g, ' ')
-            .replace(/([A-Z])/g, ' $1')
-            .split(' ')
-            .map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
-            .join(' ')
-            .trim();
-    }
-    
-    /**
-     * Get folder statistics for debugging
-     */
-    getFolderStats() {
-        const stats = {
-            totalFiles: 0,
-            categories: {},
-            totalChunks: this.chunks.length,
-            aggregateChunks: this.chunks.filter(c => c.isAggregate).length
-        };
-        
-        for (const filePath of Object.keys(this.knowledgeBase)) {
-            stats.totalFiles++;
-            const folderInfo = this.extractFolderInfo(filePath);
-            
-            if (folderInfo.category) {
-                if (!stats.categories[folderInfo.category]) {
-                    stats.categories[folderInfo.category] = {
-                        files: 0,
-                        subcategories: {}
-                    };
-                }
-                stats.categories[folderInfo.category].files++;
-                
-                if (folderInfo.subcategory) {
-                    if (!stats.categories[folderInfo.category].subcategories[folderInfo.subcategory]) {
-                        stats.categories[folderInfo.category].subcategories[folderInfo.subcategory] = 0;
-                    }
-                    stats.categories[folderInfo.category].subcategories[folderInfo.subcategory]++;
-                }
-            }
-        }
-        
-        return stats;
-    }
-    
-    /**
-     * Extract folder information from file path
-     */
-    extractFolderInfo(filePath) {
-        const parts = filePath.split('/');
-        
-        // For structure: hr-knowledge/leaders-playbook/filename
-        if (parts.length >= 3) {
-            return {
-                category: parts[0],
-                subcategory: parts[1],
-                filename: parts[2]
-            };
-        }
-        // For structure: hr-knowledge/filename
-        else if (parts.length === 2) {
-            return {
-                category: parts[0],
-                filename: parts[1]
-            };
-        }
-        // For files in root
-        else {
-            return {
-                filename: parts[0]
-            };
-        }
-    }
-    
-    async initializeRAG(cacheManager) {
-        try {
-            console.log("🔄 Initializing RAG system...");
-            
-            this.knowledgeBase = this.loadKnowledgeBase();
-            
-            if (Object.keys(this.knowledgeBase).length === 0) {
-                console.warn("⚠️ Knowledge base is empty - creating sample structure");
-                // Create minimal knowledge base structure to prevent crashes
-                this.knowledgeBase = { 'sample': { 'welcome': 'Welcome to CDO Foodsphere' } };
-            }
-            
-            this.chunks = this.extractChunks(this.knowledgeBase);
-            console.log(`📚 Extracted ${this.chunks.length} text chunks`);
-            
-            // ===========================================================
-            // FIXED: Smart cache handling for both local and production
-            // ===========================================================
-            
-            const isProduction = process.env.NODE_ENV === 'production';
-            const cacheLoaded = await this.loadEmbeddingsCache();
-            
-            if (cacheLoaded) {
-                console.log("✅ RAG system initialized with cached embeddings");
-                this.isInitialized = true;
-                
-                // In production, we're done. In local, check if regeneration is needed.
-                if (!isProduction) {
-                    const cacheValid = cacheManager.isCacheValid();
-                    if (!cacheValid) {
-                        console.log("🔄 Local development: Cache invalid, regenerating...");
-                        await this.regenerateEmbeddings(cacheManager);
-                    }
-                }
-            } else {
-                if (isProduction) {
-                    // In production without cache, use fallback mode
-                    console.warn("⚠️ Production: Running without embeddings - basic functionality only");
-                    this.embeddings = new Array(this.chunks.length).fill([]);
-                    this.isInitialized = true;
-                } else {
-                    // In local development, regenerate embeddings
-                    console.log("🔄 Local development: No cache found, generating embeddings...");
-                    await this.regenerateEmbeddings(cacheManager);
-                }
-            }
-            
-        } catch (error) {
-            console.error("❌ RAG initialization failed:", error);
-            // Set to initialized anyway to prevent complete failure
-            this.isInitialized = true;
-            this.embeddings = [];
-        }
-    }
-
-    /**
-     * NEW: Separate method for embedding regeneration
-     */
-    async regenerateEmbeddings(cacheManager) {
-        try {
-            console.log("🔄 Generating embeddings for all chunks...");
-            
-            if (!GEMINI_API_KEY) {
-                throw new Error("GEMINI_API_KEY not set in environment");
-            }
-            
-            console.log("⏳ This may take a few minutes...");
-            
-            // Clear old embeddings
-            this.embeddings = [];
-
-            const batchSize = 5;
-            for (let i = 0; i < this.chunks.length; i += batchSize) {
-                const batch = this.chunks.slice(i, i + batchSize);
-                const batchEmbeddings = await Promise.all(
-                    batch.map(chunk => this.getEmbedding(chunk.text))
-                );
-                this.embeddings.push(...batchEmbeddings);
-                
-                const progress = Math.min(i + batchSize, this.chunks.length);
-                const percentage = ((progress / this.chunks.length) * 100).toFixed(1);
-                console.log(`📊 Progress: ${progress}/${this.chunks.length} (${percentage}%)`);
-                
-                if (i + batchSize < this.chunks.length) {
-                    await new Promise(resolve => setTimeout(resolve, 200));
-                }
-            }
-            
-            console.log("✅ All embeddings generated!");
-            
-            // Save the new cache
-            await this.saveEmbeddingsCache();
-            
-            // Update cache info
-            const cacheSignature = cacheManager.generateCacheSignature();
-            if (cacheSignature) {
-                cacheManager.saveCacheInfo(cacheSignature);
-            }
-            
-            this.isInitialized = true;
-            console.log("✅ RAG system initialized with fresh embeddings");
-            
-        } catch (error) {
-            console.error("❌ Failed to regenerate embeddings:", error);
-            // Fallback to empty embeddings
-            this.embeddings = new Array(this.chunks.length).fill([]);
-            this.isInitialized = true;
-        }
-    }
-    
-    async loadEmbeddingsCache() {
-        try {
-            if (fs.existsSync(this.embeddingsCachePath)) {
-                console.log("📦 Loading embeddings from cache...");
-                const cacheData = fs.readFileSync(this.embeddingsCachePath, 'utf8');
-                const cache = JSON.parse(cacheData);
-                
-                // Check if cache has embeddings and they match chunk count
-                if (cache.embeddings && cache.embeddings.length === this.chunks.length) {
-                    this.embeddings = cache.embeddings;
-                    console.log(`✅ Embeddings loaded from cache! (${this.embeddings.length} embeddings)`);
-                    return true;
-                } else {
-                    console.warn(`⚠️ Cache mismatch: chunks=${this.chunks.length}, embeddings=${cache.embeddings?.length || 0}`);
-                    return false;
-                }
-            }
-            console.log("📦 No embeddings cache found");
-            return false;
-        } catch (error) {
-            console.warn("⚠️ Could not load embeddings cache:", error.message);
-            return false;
-        }
-    }
-    
-    async saveEmbeddingsCache() {
-        try {
-            const cache = {
-                // We save minimal data now. The chunks are generated live.
-                embeddings: this.embeddings,
-                timestamp: new Date().toISOString(),
-                folderStats: this.getFolderStats()
-            };
-            fs.writeFileSync(this.embeddingsCachePath, JSON.stringify(cache));
-            console.log("💾 Embeddings cached successfully!");
-        } catch (error) {
-            console.warn("⚠️ Could not save embeddings cache:", error.message);
-        }
-    }
-    
-    async getEmbedding(text) {
-        try {
-            const truncatedText = text.length > 2000 ? text.substring(0, 2000) : text;
-            
-            const response = await fetch(
-                `https://generativelanguage.googleapis.com/v1beta/models/text-embedding-004:embedContent?key=${GEMINI_API_KEY}`,
-                {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({
-                        model: "models/text-embedding-004",
-                        content: { parts: [{ text: truncatedText }] }
-                    })
-                }
-            );
-            
-            if (!response.ok) {
-                throw new Error(`Embedding API error: ${response.status}`);
-            }
-            
-            const data = await response.json();
-            return data.embedding.values;
-        } catch (error) {
-            console.error("Error generating embedding:", error.message);
-            return new Array(768).fill(0);
-        }
-    }
-    
-    cosineSimilarity(a, b) {
-        if (!a || !b || a.length !== b.length) return 0;
-        
-        let dotProduct = 0;
-        let normA = 0;
-        let normB = 0;
-        
-        for (let i = 0; i < a.length; i++) {
-            dotProduct += a[i] * b[i];
-            normA += a[i] * a[i];
-            normB += b[i] * b[i];
-        }
-        
-        if (normA === 0 || normB === 0) return 0;
-        
-        return dotProduct / (Math.sqrt(normA) * Math.sqrt(normB));
-    }
-    
-    /**
-     * GENERIC search - works for any question type
-     */
-    async search(question, topK = 20) {
-        if (!this.isInitialized) {
-            console.warn("⚠️ RAG system not initialized");
-            return [];
-        }
-        
-        if (this.chunks.length === 0) {
-            console.warn("⚠️ No chunks available");
-            return [];
-        }
-        
-        console.log(`🔍 Searching: "${question}"`);
-        
-        const questionEmbedding = await this.getEmbedding(question);
-        
-        // Ensure embeddings and chunks are aligned
-        if (this.embeddings.length !== this.chunks.length) {
-            console.error(`❌ Mismatch! Chunks: ${this.chunks.length}, Embeddings: ${this.embeddings.length}. Regenerating cache.`);
-            // Note: We removed auto-regeneration, so this is a critical error
-            console.error("❌ CRITICAL: Cache mismatch detected. RAG will fail.");
-            return [];
-        }
-        
-        const results = this.chunks.map((chunk, index) => {
-            let score = this.cosineSimilarity(questionEmbedding, this.embeddings[index]);
-            
-            // Generic keyword boosting - works for any content type
-            score *= this.getGenericKeywordBoost(question, chunk);
-            
-            // Small boost for aggregate chunks (they often contain comprehensive info)
-            if (chunk.isAggregate) {
-                score *= 1.1;
-            }
-            
-            return { ...chunk, score };
-        });
-        
-        // Lower threshold to catch more relevant results
-        const topResults = results
-            .sort((a, b) => b.score - a.score)
-            .slice(0, topK)
-            .filter(r => r.score > 0.1);
-        
-        console.log(`📊 Found ${topResults.length} relevant chunks (threshold: 0.1)`);
-        if (topResults.length > 0) {
-            console.log(`🎯 Top score: ${topResults[0].score.toFixed(3)}`);
-            console.log(`📍 Top context: ${topResults[0].context}`);
-            if (topResults.length > 1) {
-                console.log(`📈 Score range: ${topResults[topResults.length-1].score.toFixed(3)} - ${topResults[0].score.toFixed(3)}`);
-            }
-        }
-        
-        return topResults;
-    }
-
-    /**
-     * Generic keyword boosting - works for any content type
-     */
-    getGenericKeywordBoost(question, chunk) {
-        const lowerQuestion = question.toLowerCase();
-        const lowerChunkText = chunk.text.toLowerCase();
-        const lowerContext = chunk.context.toLowerCase();
-        
-        let boost = 1.0;
-        
-        // Common stop words to ignore
-        const stopWords = new Set(['the', 'is', 'at', 'which', 'on', 'a', 'an', 'and', 'or', 'but', 
-                                  'in', 'with', 'to', 'for', 'of', 'as', 'by', 'what', 'how', 'when',
-                                  'where', 'who', 'why', 'are', 'do', 'does', 'did', 'can', 'could',
-                                  'will', 'would', 'should', 'may', 'might', 'must']);
-        
-        // Extract meaningful words from question
-        const questionWords = lowerQuestion
-            .split(/\s+|,|\.|\?|!/)
-            .filter(w => w.length > 2 && !stopWords.has(w));
-        
-        // Calculate matches in chunk text
-        const textMatches = questionWords.filter(word => 
-            lowerChunkText.includes(word)
-        ).length;
-        
-        // Calculate matches in context
-        const contextMatches = questionWords.filter(word => 
-            lowerContext.includes(word)
-        ).length;
-        
-        // Strong boosting for keyword matches - generic approach
-        if (textMatches > 0) {
-            boost *= (1 + (textMatches * 0.3));
-        }
-        
-        if (contextMatches > 0) {
-            boost *= (1 + (contextMatches * 0.4));
-        }
-        
-        return Math.min(boost, 3.0);
-    }
-    
-    // =================================================================
-    // START: UPDATED getContext METHOD (with fileName grouping)
-    // =================================================================
-    
-    /**
-     * Improved context building
-     * (Now groups by file source)
-     */
-    async getContext(question, topK = 20) {
-        const results = await this.search(question, topK);
-        
-        if (results.length === 0) {
-            console.log("❌ No relevant chunks found for question:", question);
-            return "No relevant information found in the knowledge base.";
-        }
-        
-        // Log what we found for debugging
-        console.log("🎯 Top search results for context:");
-        results.slice(0, 3).forEach((result, i) => {
-            console.log(`   ${i+1}. Score: ${result.score.toFixed(3)}, File: ${result.fileName}, Ctx: ${result.context}`);
-        });
-        
-        // Group by FILENAME. This is the key change.
-        const groupedByFile = {};
-        results.forEach(result => {
-            const fileName = result.fileName || 'general'; // e.g., 'code-of-conduct' or 'attract-phase'
-            if (!groupedByFile[fileName]) groupedByFile[fileName] = [];
-            groupedByFile[fileName].push(result);
-        });
-        
-        const contextParts = [];
-
-        // Loop through each file's chunks
-        for (const [fileName, chunks] of Object.entries(groupedByFile)) {
-            
-            const sourceName = this.formatKeyAsTitle(fileName); // e.g., "Code Of Conduct"
-            // Add the source name as a clear header for the AI
-            contextParts.push(`\n### Context from: ${sourceName}\n`);
-            
-            // Prioritize aggregate chunks
-            const aggregateChunks = chunks.filter(c => c.isAggregate);
-            const regularChunks = chunks.filter(c => !c.isAggregate);
-            
-            [...aggregateChunks, ...regularChunks].forEach(chunk => {
-                // Just add the text. The AI will see it's under the "Context from: ..." header.
-                contextParts.push(chunk.text + '\n');
-            });
-        }
-
-        const finalContext = contextParts.join('\n');
-        console.log(`📄 Final context: ${finalContext.length} chars, ${Object.keys(groupedByFile).length} sources`);
-        
-        return finalContext;
-    }
-
-    // =================================================================
-    // END: UPDATED getContext METHOD
-    // =================================================================
-}
-
 // Initialize systems
 const ragSystem = new MultiFolderSemanticRAG();
 const cacheManager = new CacheManager();
+const answerCache = new SemanticAnswerCache();
+const externalKnowledge = new ExternalKnowledge();
+// Routes a question to its sources and prompt template (company history, HR
+// policy, store lookup, small talk, out of scope); see intents/examples.json
+const intentRouter = new IntentRouter({
+    embed: (text) => ragSystem.getEmbedding(text),
+    embedQuery: (question) => ragSystem.getQueryEmbedding(question),
+    knownTermShare: (question) => ragSystem.lexicalIndex.termCoverage(question)
+});
 
-// Initialize RAG system with cache manager
-ragSystem.initializeRAG(cacheManager);
+// Answers are only reused while the indexed knowledge base (files and connector content) is unchanged
+const currentKbSignature = () => `${ragSystem.kbSignature?.signature ?? null}+${ragSystem.externalSignature()}`;
+
+// Load the external connectors, initialize the RAG system with cache manager,
+// then watch the knowledge base for edits (set KB_WATCH=false to disable hot
+// reload) and refresh connector content on each connector's schedule
+let kbWatcher = null;
+externalKnowledge.load().then(documents => {
+    ragSystem.externalDocuments = documents;
+    return ragSystem.initializeRAG(cacheManager);
+}).then(async () => {
+    try {
+        await intentRouter.initialize();
+        console.log(`🧭 Intent router: ${intentRouter.intents.size} intents`);
+    } catch (error) {
+        console.warn(`⚠️ Intent router unavailable, every question takes the general route: ${error.message}`);
+    }
+    externalKnowledge.start(async (connectorName, documents) => {
+        ragSystem.setExternalDocuments(connectorName, documents);
+        await ragSystem.reloadChangedFiles(cacheManager);
+        answerCache.invalidate(currentKbSignature());
+    });
+    if (process.env.KB_WATCH !== 'false') {
+        kbWatcher = new KnowledgeBaseWatcher(ragSystem.knowledgeBasePath, {
+            debounceMs: parseInt(process.env.KB_WATCH_DEBOUNCE_MS) || 750,
+            onChange: async () => {
+                await ragSystem.reloadChangedFiles(cacheManager);
+                answerCache.invalidate(currentKbSignature());
+            }
+        }).start();
+    }
+});
 
 // Routes
 app.get("/", (req, res) => {
@@ -1446,6 +486,7 @@ app.get("/", (req, res) => {
             "/cache/status",
             "/cache/regenerate",
             "/cache/clear",
+            "/cache/answers",
             "/chats/load",
             "/chats/save"
         ]
@@ -1457,11 +498,24 @@ app.get("/rag/status", (req, res) => {
     res.json({ 
         status: ragSystem.isInitialized ? "ready" : "initializing",
         service: "Universal Multi-Folder Company Knowledge RAG",
-        embedding_model: "text-embedding-004",
+        embedding_provider: ragSystem.embeddingProvider.name,
+        embedding_model: ragSystem.embeddingProvider.model,
+        reranker: ragSystem.reranker ? ragSystem.reranker.name : null,
         chunks: ragSystem.chunks.length,
         aggregate_chunks: ragSystem.chunks.filter(c => c.isAggregate).length,
         embeddings: ragSystem.embeddings.length,
+        vector_index: ragSystem.vectorIndex
+            ? { type: "hnsw", vectors: ragSystem.vectorIndex.size, dimension: ragSystem.vectorIndex.dimension, max_level: ragSystem.vectorIndex.maxLevel }
+            : { type: "exact" },
+        hot_reload: {
+            watching: Boolean(kbWatcher),
+            reloading: ragSystem.reloadInProgress,
+            last_reload: ragSystem.lastReload
+        },
+        query_cache: ragSystem.queryCacheStats(),
+        intent_router: intentRouter.status(),
         knowledge_files: Object.keys(ragSystem.knowledgeBase).length,
+        external_knowledge: externalKnowledge.status(),
         folder_stats: stats,
         approach: "Works for ANY question across multiple folders and files",
         timestamp: new Date().toISOString()
@@ -1480,6 +534,12 @@ app.get("/cache/status", (req, res) => {
         chunks_count: ragSystem.chunks.length,
         aggregate_chunks: ragSystem.chunks.filter(c => c.isAggregate).length,
         embeddings_count: ragSystem.embeddings.length,
+        embedding_stats: ragSystem.embeddingStats,
+        chunker: ragSystem.describeChunks(ragSystem.chunks),
+        embeddings_cache: ragSystem.cacheStatus,
+        answer_cache: answerCache.stats(),
+        // Connector content: origin (live, cache or snapshot), age and validators
+        external_knowledge: externalKnowledge.status(),
         knowledge_base_files: Object.keys(ragSystem.knowledgeBase).length
     });
 });
@@ -1506,7 +566,8 @@ app.post("/cache/regenerate", async (req, res) => {
         
         // Force regeneration regardless of environment
         console.log("🔄 Forcing embedding regeneration...");
-        await ragSystem.regenerateEmbeddings(cacheManager);
+        await ragSystem.rebuildIndex(cacheManager);
+        answerCache.invalidate(currentKbSignature());
         
         res.json({ 
             success: true,
@@ -1525,7 +586,56 @@ app.post("/cache/regenerate", async (req, res) => {
     }
 });
 
+// Admin routes expect "Authorization: Bearer <ADMIN_TOKEN>". Without an
+// ADMIN_TOKEN they are open in development and refused in production.
+function requireAdmin(req, res, next) {
+    const token = process.env.ADMIN_TOKEN;
+    if (!token) {
+        if (process.env.NODE_ENV === 'production') {
+            return res.status(403).json({ error: "ADMIN_TOKEN is not configured", success: false });
+        }
+        return next();
+    }
+    if (req.header('Authorization') !== `Bearer ${token}`) {
+        return res.status(401).json({ error: "Admin token required", success: false });
+    }
+    next();
+}
+
+// Semantic answer cache: inspect entries, purge one or all
+app.get("/cache/answers", requireAdmin, (req, res) => {
+    answerCache.invalidate(currentKbSignature());
+    res.json({
+        stats: answerCache.stats(),
+        entries: answerCache.list()
+    });
+});
+
+app.delete("/cache/answers/:id", requireAdmin, (req, res) => {
+    const removed = answerCache.delete(req.params.id);
+    if (!removed) {
+        return res.status(404).json({ error: "No cached answer with that id", success: false });
+    }
+    res.json({ success: true, removed: 1 });
+});
+
+app.delete("/cache/answers", requireAdmin, (req, res) => {
+    const removed = answerCache.clear();
+    console.log(`🧹 Answer cache purged (${removed} entries)`);
+    res.json({ success: true, removed });
+});
+
 // Debug routes
+// Folder stats and the values /rag/search and /ask accept in `filters`
+app.get("/rag/filters", (req, res) => {
+    res.json({
+        folder_stats: ragSystem.getFolderStats(),
+        ...ragSystem.getFilterValues(),
+        fields: ['source', 'file', 'folder', 'path'],
+        example: { folder: 'hr-knowledge/leaders-playbook', exclude: { source: 'company-general' } }
+    });
+});
+
 app.get("/rag/debug/folders", (req, res) => {
     const stats = ragSystem.getFolderStats();
     res.json({
@@ -1578,7 +688,8 @@ app.get("/rag/debug/chunks", (req, res) => {
     });
 });
 
-app.post("/rag/debug/prompt", async (req, res) => {
+// Which intent a question is routed to, with the similarity to every intent
+app.post("/rag/debug/intent", async (req, res) => {
     try {
         const { question } = req.body;
         
@@ -1586,9 +697,30 @@ app.post("/rag/debug/prompt", async (req, res) => {
             return res.status(400).json({ error: "Question required" });
         }
         
+        res.json({ question, ...(await intentRouter.classify(question)) });
+        
+    } catch (error) {
+        console.error("Intent debug error:", error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post("/rag/debug/prompt", async (req, res) => {
+    try {
+        const { question, conversation_history } = req.body;
+        
+        if (!question) {
+            return res.status(400).json({ error: "Question required" });
+        }
+        
         console.log("🔍 Debug prompt for question:", question);
+        // Show the standalone query a follow-up would be retrieved with
+        const queryRewrite = await condenseQuestion(question, conversation_history);
+        if (queryRewrite.method !== 'none') {
+            console.log(`✏️ Retrieval query (${queryRewrite.method}): "${queryRewrite.query}"`);
+        }
         // Use the enhanced context function for debug
-        const context = await getEnhancedContext(question, ragSystem);
+        const { context, packing } = await getEnhancedContext(queryRewrite.query, ragSystem);
         
         const finalPrompt = `You are CHA, Company AI Assistant for CDO Foodsphere, Inc.
 
@@ -1605,7 +737,9 @@ Your response:`;
         
         res.json({
             question,
+            query_rewrite: queryRewrite,
             context_length: context.length,
+            context_packing: packing,
             prompt_length: finalPrompt.length,
             context_preview: context.substring(0, 1000) + '...',
             prompt_preview: finalPrompt.substring(0, 1500) + '...'
@@ -1617,9 +751,50 @@ Your response:`;
     }
 });
 
+// Compare HNSW results with a brute-force scan of the index's own vectors: recall@k per question
+app.post("/rag/debug/ann-recall", async (req, res) => {
+    try {
+        const { questions = [], k = 10, ef } = req.body;
+        
+        if (!Array.isArray(questions) || questions.length === 0) {
+            return res.status(400).json({ error: "questions array required" });
+        }
+        if (!ragSystem.vectorIndex) {
+            return res.status(409).json({ error: "Vector index not built" });
+        }
+        
+        const perQuestion = [];
+        for (const question of questions) {
+            const embedding = await ragSystem.getEmbedding(question);
+            
+            let start = process.hrtime.bigint();
+            const approx = ragSystem.vectorSearch(embedding, k, { hnswEfSearch: ef });
+            const annMs = Number(process.hrtime.bigint() - start) / 1e6;
+            
+            start = process.hrtime.bigint();
+            const exact = ragSystem.vectorIndex.exactSearch(embedding, k);
+            const exactMs = Number(process.hrtime.bigint() - start) / 1e6;
+            
+            const exactIds = new Set(exact.map(r => r.index));
+            const hits = approx.filter(r => exactIds.has(r.index)).length;
+            perQuestion.push({ question, recall: exact.length ? hits / exact.length : 1, ann_ms: annMs, exact_ms: exactMs });
+        }
+        
+        res.json({
+            k,
+            ef: ef || RETRIEVAL_CONFIG.hnswEfSearch,
+            mean_recall: perQuestion.reduce((sum, q) => sum + q.recall, 0) / perQuestion.length,
+            questions: perQuestion
+        });
+    } catch (error) {
+        console.error("❌ ANN recall error:", error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
 app.post("/rag/search", async (req, res) => {
     try {
-        const { question, top_k = 15 } = req.body;
+        const { question, top_k = 15, fusion, exact = false, rerank, diversity, token_budget, filters } = req.body;
         
         if (!question) {
             return res.status(400).json({ error: "Question required" });
@@ -1633,20 +808,57 @@ app.post("/rag/search", async (req, res) => {
             });
         }
         
-        // Use the ENHANCED context function here
-        const context = await getEnhancedContext(question, ragSystem, top_k);
-        const results = await ragSystem.search(question, top_k);
+        // Optional per-request fusion tuning
+        const searchOptions = { exact: Boolean(exact), ...parseFusionOptions(fusion) };
+        if (req.body.language && LANGUAGES[req.body.language]) searchOptions.language = req.body.language;
+        Object.assign(searchOptions, parseDiversityOptions(diversity));
+        const tokenBudget = parseTokenBudget(token_budget);
+        if (tokenBudget !== undefined) searchOptions.tokenBudget = tokenBudget;
+        searchOptions.filters = parseFilters(filters);
+        if (rerank !== undefined) {
+            searchOptions.rerank = rerank === false ? 'none' : String(rerank);
+            try {
+                createReranker(searchOptions.rerank);
+            } catch (error) {
+                return res.status(400).json({ error: error.message, success: false });
+            }
+        }
+        const reranker = searchOptions.rerank === undefined ? ragSystem.reranker : createReranker(searchOptions.rerank);
+        
+        // Search once and build the ENHANCED context from the same results
+        const results = await ragSystem.search(question, top_k, searchOptions);
+        const { context, packing } = await getEnhancedContext(question, ragSystem, top_k, { ...searchOptions, results });
         
         res.json({
             context,
+            language: searchOptions.language || detectLanguage(question),
             results_count: results.length,
+            context_packing: packing,
             aggregate_results: results.filter(r => r.isAggregate).length,
             max_similarity: results[0]?.score || 0,
+            fusion: { ...RETRIEVAL_CONFIG, ...searchOptions },
+            reranker: reranker ? reranker.name : null,
+            filters: searchOptions.filters,
+            top_results: results.slice(0, 5).map(r => ({
+                fileName: r.fileName,
+                context: r.context,
+                language: r.language,
+                window: r.parentId ? `${r.windowIndex + 1}/${r.windowCount}` : undefined,
+                score: r.score,
+                vector_score: r.vectorScore,
+                lexical_score: r.lexicalScore,
+                retrieval_score: r.retrievalScore,
+                retrieval_rank: r.retrievalRank,
+                rerank_score: r.rerankScore
+            })),
             success: true,
             query: question
         });
         
     } catch (error) {
+        if (error instanceof FilterError || error instanceof FusionError || error instanceof DiversityError || error instanceof TokenBudgetError) {
+            return res.status(400).json({ error: error.message, success: false });
+        }
         console.error("❌ RAG error:", error);
         res.status(500).json({ 
             error: "RAG system error",
@@ -1656,12 +868,23 @@ app.post("/rag/search", async (req, res) => {
 });
 
 app.post("/ask", async (req, res) => {
-    const { prompt, use_rag = true, behavior_context } = req.body;
+    const { prompt, use_rag = true, behavior_context, diversity, token_budget, filters, strict_sources = false } = req.body;
 
     if (!prompt) {
         return res.status(400).json({ error: "Missing prompt" });
     }
 
+    let searchFilters;
+    let diversityOptions;
+    let tokenBudget;
+    try {
+        searchFilters = parseFilters(filters);
+        diversityOptions = parseDiversityOptions(diversity);
+        tokenBudget = parseTokenBudget(token_budget);
+    } catch (error) {
+        return res.status(400).json({ error: error.message, success: false });
+    }
+
     if (!GEMINI_API_KEY) {
         return res.status(500).json({ error: "API key not set" });
     }
@@ -1669,18 +892,97 @@ app.post("/ask", async (req, res) => {
     try {
         let finalPrompt = prompt;
         let ragContext = "";
+        let contextPacking = null;
+        let contextSources = [];
+        let queryRewrite = null;
+        let intent = null;
+        const language = detectLanguage(prompt);
+        const isFollowUp = behavior_context?.is_follow_up || false;
+        // The frontend flags every message after the first as a follow-up;
+        // only those that refer back to the conversation ("what about the
+        // second one?") need rewriting and depend on it
+        const dependsOnHistory = isFollowUp && needsRewrite(prompt, behavior_context?.conversation_history);
+        
+        // A standalone question close enough to one answered before (same
+        // knowledge base, same options) is answered from the cache. Questions
+        // that depend on the conversation always go to the model.
+        let answerCacheQuery = null;
+        if (answerCache.config.enabled && use_rag && ragSystem.isInitialized && !dependsOnHistory) {
+            try {
+                const embedding = await ragSystem.getQueryEmbedding(prompt);
+                const cacheOptions = {
+                    kbSignature: currentKbSignature(),
+                    scope: {
+                        language,
+                        filters: searchFilters,
+                        diversity: diversityOptions,
+                        token_budget: tokenBudget ?? null,
+                        strict_sources: Boolean(strict_sources),
+                        identity: behavior_context?.identity ?? null
+                    }
+                };
+                const hit = answerCache.lookup(embedding, cacheOptions);
+                if (hit) {
+                    console.log(`📦 Answer cache hit (similarity ${hit.similarity.toFixed(3)}): "${hit.entry.question}"`);
+                    return res.json({
+                        ...hit.entry.response,
+                        answer_cache: {
+                            hit: true,
+                            id: hit.entry.id,
+                            similarity: Number(hit.similarity.toFixed(3)),
+                            question: hit.entry.question,
+                            cached_at: new Date(hit.entry.createdAt).toISOString()
+                        },
+                        success: true
+                    });
+                }
+                answerCacheQuery = { embedding, cacheOptions };
+            } catch (error) {
+                console.warn(`⚠️ Answer cache lookup skipped: ${error.message}`);
+            }
+        }
         
         if (use_rag && ragSystem.isInitialized) {
-            console.log("🔍 Using Universal Multi-Folder RAG with Wikipedia integration...");
-            // Use the enhanced context function
-            ragContext = await getEnhancedContext(prompt, ragSystem);
+            console.log("🔍 Using Universal Multi-Folder RAG...");
+            
+            // Follow-ups ("what about the second one?") are rewritten into a
+            // standalone query before retrieval; the model still sees the original
+            let retrievalQuery = prompt;
+            if (isFollowUp) {
+                queryRewrite = await condenseQuestion(prompt, behavior_context?.conversation_history);
+                retrievalQuery = queryRewrite.query;
+                console.log(`✏️ Retrieval query (${queryRewrite.method}): "${retrievalQuery}"`);
+            }
+            
+            // The intent decides which sources are searched (filters in the
+            // request take precedence) and which template answers; small talk
+            // and out-of-scope questions skip retrieval
+            intent = await intentRouter.classify(retrievalQuery);
+            const route = intent.route;
+            console.log(`🧭 Intent: ${intent.intent || 'general'} (${intent.bestGuess} ${intent.similarity})`);
+            
+            if (route.retrieval) {
+                const searchOptions = { language, filters: searchFilters || parseFilters(route.filters), ...diversityOptions };
+                if (tokenBudget !== undefined) searchOptions.tokenBudget = tokenBudget;
+                ({ context: ragContext, packing: contextPacking, sources: contextSources } = await getEnhancedContext(retrievalQuery, ragSystem, 20, searchOptions));
+                
+                // A misrouted question finds nothing in the intent's sources; search everything
+                if (contextSources.length === 0 && !searchFilters && route.filters) {
+                    console.log("🧭 Nothing found in the routed sources, searching all sources");
+                    searchOptions.filters = null;
+                    ({ context: ragContext, packing: contextPacking, sources: contextSources } = await getEnhancedContext(retrievalQuery, ragSystem, 20, searchOptions));
+                }
+            }
             
             // Enhanced prompt with behavior context
             const identity = behavior_context?.identity || AI_BEHAVIOR.identity;
-            const isFollowUp = behavior_context?.is_follow_up || false;
+            const languageName = LANGUAGES[language].name;
             
             // --- MODIFIED: Use the server's PROMPT_TEMPLATES ---
-            const template = isFollowUp ? PROMPT_TEMPLATES.followUp : PROMPT_TEMPLATES.standard;
+            // Standalone questions get the same template (and so the same
+            // answer) whether or not they are asked mid-conversation
+            const templateName = dependsOnHistory && route.retrieval ? 'followUp' : (PROMPT_TEMPLATES[route.template] ? route.template : 'standard');
+            const template = PROMPT_TEMPLATES[templateName];
             
             finalPrompt = template
                 .replace(/{name}/g, identity.name || 'Cindy')
@@ -1689,35 +991,23 @@ app.post("/ask", async (req, res) => {
                 .replace(/{context}/g, ragContext)
                 .replace(/{question}/g, prompt)
                 .replace(/{ragContext}/g, ragContext)
-                .replace(/{history}/g, JSON.stringify(behavior_context?.conversation_history || []));
+                .replace(/{history}/g, JSON.stringify(behavior_context?.conversation_history || []))
+                .replace(/{languageInstruction}/g, `- Respond in ${languageName}, the language the user wrote in.\n- If the user asks for the wording in another language, quote the matching [language]-labelled context verbatim.`);
             
             console.log(`📝 Enhanced prompt length: ${finalPrompt.length} chars`);
             console.log("=== UNIVERSAL RAG DEBUG ===");
-            console.log("Using template:", isFollowUp ? "followUp" : "standard");
+            console.log("Using template:", templateName);
             console.log("Context length:", ragContext.length);
             console.log("=== END DEBUG ===");
         }
 
-        const response = await fetch(
-            `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash-exp:generateContent?key=${GEMINI_API_KEY}`,
-            {
-                method: "POST",
-                headers: {
-                    "Content-Type": "application/json"
-                },
-                body: JSON.stringify({
-                    contents: [{ parts: [{ text: finalPrompt }] }],
-                    generationConfig: {
-                        temperature: 0.4,
-                        topK: 40,
-                        topP: 0.95,
-                        maxOutputTokens: 1024,
-                    }
-                }),
-            }
-        );
-
-        const data = await response.json();
+        const response = await generateContent(finalPrompt, {
+            temperature: 0.4,
+            topK: 40,
+            topP: 0.95,
+            maxOutputTokens: 1024,
+        }, GEMINI_API_KEY);
+        const data = response.data;
 
         if (!response.ok) {
             console.error("Gemini API Error:", data);
@@ -1727,18 +1017,56 @@ app.post("/ask", async (req, res) => {
             });
         }
 
-        const answer = data?.candidates?.[0]?.content?.parts?.[0]?.text || 
-                      "I couldn't generate a response.";
+        let answer = response.text || "I couldn't generate a response.";
+
+        // Citations for what was actually retrieved; sources the model names
+        // that weren't retrieved are flagged (and removed in strict mode)
+        const { citations, sourceCheck } = buildCitations(contextSources, answer);
+        if (!sourceCheck.ok) {
+            console.warn(`⚠️ Answer names sources that were not retrieved: ${sourceCheck.unverified.join(', ')}`);
+            if (strict_sources) {
+                answer = stripUnverifiedSources(answer, sourceCheck.unverified);
+            }
+        }
+
+        // Claims in the answer that the retrieved context doesn't back up
+        // (spans are offsets into the returned answer)
+        let grounding = null;
+        if (contextSources.length > 0) {
+            grounding = await verifyGrounding(answer, contextSources, {
+                embeddingSupport: (claim) => ragSystem.similarityToChunks(claim, contextSources)
+            });
+            if (grounding.unsupported.length > 0) {
+                console.warn(`⚠️ Grounding ${grounding.score}: ${grounding.unsupported.length}/${grounding.claims} claims not supported by the context`);
+            }
+        }
 
         console.log("=== GEMINI RESPONSE DEBUG ===");
         console.log("Answer length:", answer.length);
         console.log("Answer preview:", answer.substring(0, 200));
         console.log("=== END DEBUG ===");
 
-        res.json({ 
+        const payload = {
             answer,
             rag_used: use_rag && ragSystem.isInitialized,
             context_provided: ragContext.length > 0,
+            context_packing: contextPacking,
+            query_rewrite: queryRewrite,
+            intent: intent && { name: intent.intent, similarity: intent.similarity, best_guess: intent.bestGuess, retrieval: intent.route.retrieval, template: intent.route.template },
+            citations,
+            source_check: { ...sourceCheck, stripped: Boolean(strict_sources) && !sourceCheck.ok },
+            grounding,
+            language
+        };
+        
+        let answerCacheId = null;
+        if (answerCacheQuery && response.text) {
+            answerCacheId = answerCache.store(prompt, answerCacheQuery.embedding, payload, answerCacheQuery.cacheOptions);
+        }
+        
+        res.json({ 
+            ...payload,
+            answer_cache: { hit: false, id: answerCacheId },
             success: true
         });
         
@@ -1783,15 +1111,16 @@ app.listen(PORT, () => {
     console.log(`   knowledge-base/`);
     console.log(`   ├── hr-knowledge/`);
     console.log(`   │   ├── leaders-playbook/`);
-    console.log(`   │   │   └── *.json`);
+    console.log(`   │   │   └── *.json, *.yaml, *.md, *.txt, *.csv`);
     console.log(`   │   └── code-of-conduct/`);
-    console.log(`   │       └── *.json`);
+    console.log(`   │       └── *.json, *.yaml, *.md, *.txt, *.csv`);
     console.log(`   └── [other categories]/`);
     console.log(`🔧 Cache Management Endpoints:`);
     console.log(`   GET  /cache/status     - Check cache status`);
     console.log(`   POST /cache/regenerate - Manually regenerate cache`);
     console.log(`   POST /cache/clear      - Clear cache`);
-    console.log(`🌐 Wikipedia Integration: Enabled with 24-hour caching`);
+    console.log(`🔌 External Knowledge: ${externalKnowledge.connectors.map(connector => connector.name).join(', ') || 'none'}${externalKnowledge.offline ? ' (offline snapshots)' : ''}`);
+    console.log(`👀 Knowledge Base Hot Reload: ${process.env.KB_WATCH !== 'false' ? 'Enabled' : 'Disabled'}`);
     console.log(`💾 Aiven MySQL Persistence: Active`);
     console.log(`🔧 Environment: ${process.env.NODE_ENV || 'development'}`);
 });
\ No newline at end of file
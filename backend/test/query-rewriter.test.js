@@ -0,0 +1,41 @@
+// backend/test/query-rewriter.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { needsRewrite, rewriteHeuristically } from '../query-rewriter.js';
+
+const history = [{
+    question: 'Who founded CDO Foodsphere?',
+    answer: 'CDO Foodsphere was founded by:\n1. Corazon Dayro Ong\n2. Jose Ong'
+}];
+
+// Mention "this", "first", "it" and the like but name their own topic
+const standalone = [
+    'What is the penalty for the first offense of tardiness?',
+    'What is the dress code policy of this company?',
+    'Is it true that the workplace is substance-free?',
+    'What are the store hours?',
+    'Dress code?'
+];
+
+test('standalone questions are not rewritten', () => {
+    for (const question of standalone) {
+        assert.equal(needsRewrite(question, history), false, question);
+        assert.equal(rewriteHeuristically(question, history), question, question);
+    }
+});
+
+test('questions without a topic of their own are rewritten', () => {
+    for (const question of ['Tell me more', 'What does it mean?', 'Why?', 'Ano iyon?', 'What about the second one?', 'Number 2?']) {
+        assert.equal(needsRewrite(question, history), true, question);
+    }
+    assert.equal(needsRewrite('How about the Sampaloc branch?', history), true);
+});
+
+test('ordinals resolve against the last answer, otherwise the previous terms carry over', () => {
+    assert.equal(rewriteHeuristically('What about the second one?', history), 'What about the second one? Jose Ong');
+    assert.equal(rewriteHeuristically('Tell me more', history), 'Tell me more founded cdo foodsphere');
+});
+
+test('nothing is rewritten without history', () => {
+    assert.equal(needsRewrite('Tell me more', []), false);
+});
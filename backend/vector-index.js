@@ -0,0 +1,375 @@
+// backend/vector-index.js
+import crypto from 'crypto';
+
+const INDEX_VERSION = 1;
+
+/**
+ * Minimal binary heap keyed on `score` (max-heap by default)
+ */
+class Heap {
+    constructor(isMin = false) {
+        this.items = [];
+        this.sign = isMin ? -1 : 1;
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    peek() {
+        return this.items[0];
+    }
+
+    push(item) {
+        const items = this.items;
+        items.push(item);
+        let i = items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (this.sign * (items[i].score - items[parent].score) <= 0) break;
+            [items[i], items[parent]] = [items[parent], items[i]];
+            i = parent;
+        }
+    }
+
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+        if (items.length > 0) {
+            items[0] = last;
+            let i = 0;
+            for (;;) {
+                const left = 2 * i + 1;
+                const right = left + 1;
+                let best = i;
+                if (left < items.length && this.sign * (items[left].score - items[best].score) > 0) best = left;
+                if (right < items.length && this.sign * (items[right].score - items[best].score) > 0) best = right;
+                if (best === i) break;
+                [items[i], items[best]] = [items[best], items[i]];
+                i = best;
+            }
+        }
+        return top;
+    }
+}
+
+/**
+ * Deterministic PRNG (mulberry32) so the same embeddings always build the same graph
+ */
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * SHA-1 of every component of every vector (as float32), used to tell
+ * whether a saved index still belongs to the vectors it is loaded with
+ */
+export function fingerprintEmbeddings(embeddings) {
+    const hash = crypto.createHash('sha1');
+    hash.update(`${embeddings.length}\n`);
+    for (const vector of embeddings) {
+        const components = Float32Array.from(vector || []);
+        hash.update(`${components.length}\n`);
+        hash.update(new Uint8Array(components.buffer));
+    }
+    return hash.digest('hex');
+}
+
+/**
+ * Copy of a vector as a unit-length Float32Array (all zeros stays all zeros)
+ */
+export function normalizeVector(vector) {
+    const normalized = new Float32Array(vector.length);
+    let norm = 0;
+    for (let d = 0; d < vector.length; d++) norm += vector[d] * vector[d];
+    norm = Math.sqrt(norm) || 1;
+    for (let d = 0; d < vector.length; d++) normalized[d] = vector[d] / norm;
+    return normalized;
+}
+
+/**
+ * Dot product; the cosine similarity when both vectors are unit length
+ */
+export function dotProduct(a, b) {
+    if (!a || !b || a.length !== b.length) return 0;
+    let dot = 0;
+    for (let d = 0; d < a.length; d++) dot += a[d] * b[d];
+    return dot;
+}
+
+/**
+ * Hierarchical Navigable Small World graph over L2-normalized Float32Array
+ * vectors. Scores are cosine similarities.
+ */
+export class HNSWIndex {
+    constructor(options = {}) {
+        this.M = options.M || 16;
+        this.maxM0 = this.M * 2;
+        this.efConstruction = options.efConstruction || 100;
+        this.efSearch = options.efSearch || 64;
+        this.levelMult = 1 / Math.log(this.M);
+        this.seed = options.seed || 42;
+
+        this.dimension = 0;
+        this.vectors = null;
+        this.ids = [];          // node -> original embedding index
+        this.levels = [];       // node -> top level
+        this.neighbors = [];    // node -> [level] -> [node]
+        this.entryPoint = -1;
+        this.maxLevel = -1;
+        this.fingerprint = null;
+    }
+
+    get size() {
+        return this.ids.length;
+    }
+
+    /**
+     * Copy and normalize embeddings into one Float32Array. Empty or
+     * wrong-sized vectors (failed embeddings) are left out of the graph.
+     * A caller that already fingerprinted the embeddings can pass it in.
+     */
+    setVectors(embeddings, fingerprint = fingerprintEmbeddings(embeddings)) {
+        this.dimension = embeddings.find(v => v && v.length > 0)?.length || 0;
+        this.ids = [];
+        embeddings.forEach((vector, i) => {
+            if (vector && vector.length === this.dimension && this.dimension > 0) {
+                this.ids.push(i);
+            }
+        });
+
+        this.vectors = new Float32Array(this.ids.length * this.dimension);
+        this.ids.forEach((id, node) => {
+            const vector = embeddings[id];
+            let norm = 0;
+            for (let d = 0; d < this.dimension; d++) norm += vector[d] * vector[d];
+            norm = Math.sqrt(norm) || 1;
+            const offset = node * this.dimension;
+            for (let d = 0; d < this.dimension; d++) {
+                this.vectors[offset + d] = vector[d] / norm;
+            }
+        });
+        this.fingerprint = fingerprint;
+    }
+
+    similarity(query, node) {
+        const offset = node * this.dimension;
+        let dot = 0;
+        for (let d = 0; d < this.dimension; d++) {
+            dot += query[d] * this.vectors[offset + d];
+        }
+        return dot;
+    }
+
+    nodeVector(node) {
+        return this.vectors.subarray(node * this.dimension, (node + 1) * this.dimension);
+    }
+
+    normalizeQuery(query) {
+        return normalizeVector(query);
+    }
+
+    /**
+     * Build the graph from scratch
+     */
+    build(embeddings) {
+        this.setVectors(embeddings);
+        this.levels = [];
+        this.neighbors = [];
+        this.entryPoint = -1;
+        this.maxLevel = -1;
+
+        const random = seededRandom(this.seed);
+        for (let node = 0; node < this.ids.length; node++) {
+            const level = Math.floor(-Math.log(random() || Number.MIN_VALUE) * this.levelMult);
+            this.insert(node, level);
+        }
+        return this;
+    }
+
+    insert(node, level) {
+        this.levels[node] = level;
+        this.neighbors[node] = Array.from({ length: level + 1 }, () => []);
+
+        if (this.entryPoint === -1) {
+            this.entryPoint = node;
+            this.maxLevel = level;
+            return;
+        }
+
+        const query = this.nodeVector(node);
+        let current = this.entryPoint;
+
+        // Greedy descent through the layers above the new node's level
+        for (let l = this.maxLevel; l > level; l--) {
+            current = this.greedyClosest(query, current, l);
+        }
+
+        for (let l = Math.min(level, this.maxLevel); l >= 0; l--) {
+            const candidates = this.searchLayer(query, [current], this.efConstruction, l);
+            const maxConnections = l === 0 ? this.maxM0 : this.M;
+            const selected = candidates.slice(0, this.M);
+
+            this.neighbors[node][l] = selected.map(c => c.node);
+            for (const { node: neighbor } of selected) {
+                const links = this.neighbors[neighbor][l];
+                links.push(node);
+                if (links.length > maxConnections) {
+                    this.neighbors[neighbor][l] = this.pruneLinks(neighbor, links, maxConnections);
+                }
+            }
+            current = candidates[0].node;
+        }
+
+        if (level > this.maxLevel) {
+            this.maxLevel = level;
+            this.entryPoint = node;
+        }
+    }
+
+    pruneLinks(node, links, maxConnections) {
+        const vector = this.nodeVector(node);
+        return links
+            .map(link => ({ node: link, score: this.similarity(vector, link) }))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, maxConnections)
+            .map(c => c.node);
+    }
+
+    greedyClosest(query, start, level) {
+        let current = start;
+        let currentScore = this.similarity(query, current);
+        let improved = true;
+        while (improved) {
+            improved = false;
+            for (const neighbor of this.neighbors[current][level] || []) {
+                const score = this.similarity(query, neighbor);
+                if (score > currentScore) {
+                    current = neighbor;
+                    currentScore = score;
+                    improved = true;
+                }
+            }
+        }
+        return current;
+    }
+
+    /**
+     * Beam search on one layer; returns [{ node, score }] best first
+     */
+    searchLayer(query, entryPoints, ef, level) {
+        const visited = new Set(entryPoints);
+        const candidates = new Heap();       // best candidate on top
+        const results = new Heap(true);      // worst result on top
+
+        for (const node of entryPoints) {
+            const item = { node, score: this.similarity(query, node) };
+            candidates.push(item);
+            results.push(item);
+        }
+
+        while (candidates.size > 0) {
+            const candidate = candidates.pop();
+            if (results.size >= ef && candidate.score < results.peek().score) break;
+
+            for (const neighbor of this.neighbors[candidate.node][level] || []) {
+                if (visited.has(neighbor)) continue;
+                visited.add(neighbor);
+
+                const score = this.similarity(query, neighbor);
+                if (results.size < ef || score > results.peek().score) {
+                    const item = { node: neighbor, score };
+                    candidates.push(item);
+                    results.push(item);
+                    if (results.size > ef) results.pop();
+                }
+            }
+        }
+
+        return results.items.sort((a, b) => b.score - a.score);
+    }
+
+    /**
+     * Approximate k nearest neighbours; returns [{ index, score }] where
+     * index is the position in the original embeddings array
+     */
+    search(query, k = 10, ef = this.efSearch) {
+        if (this.entryPoint === -1 || !query || query.length !== this.dimension) {
+            return [];
+        }
+
+        const normalized = this.normalizeQuery(query);
+        let current = this.entryPoint;
+        for (let l = this.maxLevel; l > 0; l--) {
+            current = this.greedyClosest(normalized, current, l);
+        }
+
+        return this.searchLayer(normalized, [current], Math.max(ef, k), 0)
+            .slice(0, k)
+            .map(({ node, score }) => ({ index: this.ids[node], score }));
+    }
+
+    /**
+     * Brute-force scan over the same vectors, for recall measurement
+     */
+    exactSearch(query, k = 10) {
+        if (this.size === 0 || !query || query.length !== this.dimension) {
+            return [];
+        }
+
+        const normalized = this.normalizeQuery(query);
+        const scores = [];
+        for (let node = 0; node < this.ids.length; node++) {
+            scores.push({ index: this.ids[node], score: this.similarity(normalized, node) });
+        }
+        return scores.sort((a, b) => b.score - a.score).slice(0, k);
+    }
+
+    toJSON() {
+        return {
+            version: INDEX_VERSION,
+            type: 'hnsw',
+            M: this.M,
+            efConstruction: this.efConstruction,
+            dimension: this.dimension,
+            fingerprint: this.fingerprint,
+            entryPoint: this.entryPoint,
+            maxLevel: this.maxLevel,
+            ids: this.ids,
+            levels: this.levels,
+            neighbors: this.neighbors
+        };
+    }
+
+    /**
+     * Restore a saved graph. Returns null if it was built from other vectors.
+     */
+    static fromJSON(data, embeddings, options = {}) {
+        if (!data || data.version !== INDEX_VERSION || data.type !== 'hnsw') {
+            return null;
+        }
+        const fingerprint = fingerprintEmbeddings(embeddings);
+        if (data.fingerprint !== fingerprint) {
+            return null;
+        }
+
+        const index = new HNSWIndex({ ...options, M: data.M, efConstruction: data.efConstruction });
+        index.setVectors(embeddings, fingerprint);
+        if (index.dimension !== data.dimension || index.ids.length !== data.ids.length) {
+            return null;
+        }
+        index.entryPoint = data.entryPoint;
+        index.maxLevel = data.maxLevel;
+        index.levels = data.levels;
+        index.neighbors = data.neighbors;
+        return index;
+    }
+}
@@ -67,8 +67,14 @@ export class APIManager {
             console.log("✅ Server RAG response successful");
             
             // Optional: Log response quality for debugging
-            const quality = ResponseQuality.checkResponseQuality(data.answer, question);
+            const quality = ResponseQuality.checkResponseQuality(data.answer, question, data.grounding);
             console.log('Response Quality Score:', quality.score, 'Issues:', quality.issues);
+            if (data.grounding?.unsupported?.length > 0) {
+                console.warn('Unsupported claims:', data.grounding.unsupported.map(span => span.text));
+            }
+            if (data.answer_cache?.hit) {
+                console.log(`📦 Answer served from cache (similarity ${data.answer_cache.similarity}, cached ${data.answer_cache.cached_at})`);
+            }
             
             // Return the FULL answer without any modification
             return data.answer;
@@ -1,6 +1,7 @@
 // response-quality.js
 export class ResponseQuality {
-  static checkResponseQuality(answer, question) {
+  // grounding: the /ask response's grounding report, when the server sent one
+  static checkResponseQuality(answer, question, grounding = null) {
     const issues = [];
     
     // Check for common problems
@@ -16,6 +17,10 @@ export class ResponseQuality {
       issues.push('Needs better formatting');
     }
     
+    if (grounding && grounding.unsupported?.length > 0) {
+      issues.push('Possibly unsupported claims');
+    }
+    
     return {
       score: Math.max(0, 10 - issues.length * 2),
       issues,
@@ -38,6 +43,10 @@ export class ResponseQuality {
       suggestions.push('Use bullet points or sections for readability');
     }
     
+    if (issues.includes('Possibly unsupported claims')) {
+      suggestions.push('Check the flagged statements against the cited sources');
+    }
+    
     return suggestions;
   }
 }
\ No newline at end of file